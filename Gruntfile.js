@@ -44,7 +44,7 @@ module.exports = function (grunt) {
         },
         jasmine: {
             test: {
-                src: 'plastick.min.js',
+                src: 'plastick.js',
                 options: {
                     specs: 'tests/*.js'
                 }
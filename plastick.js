@@ -2,10 +2,14 @@
 
     'use strict';
 
+    var hasWindow = typeof window !== 'undefined',
+        hasDocument = typeof document !== 'undefined';
+
     // performance.now() shim --------------------------------------------------
 
     (function () {
 
+        if (!hasWindow) return;
         window.performance = window.performance || {};
         if (!window.performance.now) {
             var nowOffset = Date.now();
@@ -18,754 +22,6067 @@
     // page focus polyfill -----------------------------------------------------
 
     var hidden, visibilityChange;
-    if (document.hidden !== 'undefined') { // Opera 12.10 and Firefox 18 and later support
+    if (!hasDocument) {
+        hidden = null;
+        visibilityChange = null;
+    } else if (typeof document.hidden !== 'undefined') { // Opera 12.10 and Firefox 18 and later support
         hidden = 'hidden';
         visibilityChange = 'visibilitychange';
-    } else if (document.mozHidden !== 'undefined') {
+    } else if (typeof document.mozHidden !== 'undefined') {
         hidden = 'mozHidden';
         visibilityChange = 'mozvisibilitychange';
-    } else if (document.msHidden !== 'undefined') {
+    } else if (typeof document.msHidden !== 'undefined') {
         hidden = 'msHidden';
         visibilityChange = 'msvisibilitychange';
-    } else if (document.webkitHidden !== 'undefined') {
+    } else if (typeof document.webkitHidden !== 'undefined') {
         hidden = 'webkitHidden';
         visibilityChange = 'webkitvisibilitychange';
     }
 
-    // Plastick v0.4.1 /////////////////////////////////////////////////////////
+    // default environment -----------------------------------------------------
+
+    var timeOrigin = Date.now(),
+        TICK_EPSILON = 1e-9; // tolerance for floating point error at tick boundaries
 
     /**
-     * Create a Plastick object for your game by passing it a canvas object OR a Facade object that will be used to draw to the canvas. The Plastick object automatically controls the update loop and draw loop for your game project, and transfers the game simulation between various States.
-     *
-     * ```
-     * var game = new Plastick(stage);
-     * ```
+     * The default clock. Uses <code>window.performance.now()</code> in the browser, or the time since this module was loaded when no window is available.
      *
-     * @property {Object} canvas Reference to the canvas object.
-     * @property {Object} facade Reference to the Facade context, if one is being used.
-     * @property {Object} context Reference to the canvas rendering context.
-     * @property {Object} states A stack of game states for flipping through various states of the game (intro, demo screen, menus, pause screen, etc).
-     * @property {Float} startTime The session time at which <code>Plastick.start()</code> was called.
-     * @property {Integer} currentTick Current unit of game time. Each tick represents one execution of the <code>Plastick.State.update()</code> method.
-     * @property {Float} tickAlpha Interpolation (alpha) value of current tick. This is used in a system implementing fixed time step interpolation, usually to smooth screen updates that occur in between ticks. Updated immediately before executing the <code>Plastick.State.draw()</code> code.
-     * @property {Boolean} isRunning True if the Plastick object is in a running state.
-     * @property {Object} data A generic object which the user can store any game-related data in. This is not explicitly used by the Plastick framework, so you can store anything here.
-     * @property {Object} methods A generic object which the user can store any game-related methods in. This is not explicitly used by the Plastick framework, so you can store anything here.
-     * @property {Integer} TARGET_TPS The target rate of game simulation, in ticks per second. Modifying this while the game is running may result in inaccurate simulation.
-     * @property {Integer} TICK_CHOKE The maximum number of ticks simulated per canvas frame.
-     * @param {Object} stage The canvas object or Facade object that will handle drawing the Plastick states.
-     * @return {Object} New Plastick object.
-     * @api public
+     * @return {Float} The current session time, in milliseconds.
+     * @api private
      */
 
-    function Plastick(stage) {
-
-        this.TARGET_TPS = 30; // target game ticks per second
-        this.TICK_CHOKE = 50; // max # of ticks per canvas frame
+    function defaultClock() {
 
-        if (stage.getContext !== undefined) {
-            this.canvasMode = 'native canvas';
-            this.canvas = stage;
-            this.context = stage.getContext('2d');
-        } else {
-            this.canvasMode = 'facade';
-            this.facade = stage;
-            this.canvas = stage.canvas;
-            this.context = stage.context;
-        }
+        if (hasWindow) return window.performance.now();
+        return Date.now() - timeOrigin;
+    }
 
-        this.HDPIMode = 1;
-        this.data = {};
-        this.methods = {};
-        this.states = [];
-        this.startTime = null;
-        this.currentTick = 0;
-        this.tickTime = 0;
-        this.tickAlpha = 0;
-        this.freezeOnBlur = true;
+    /**
+     * The default frame scheduler for canvas renderers, built on <code>requestAnimationFrame()</code> (which is also available to workers that draw to an <code>OffscreenCanvas</code>).
+     *
+     * @api private
+     */
 
-        this._isRunning = false;
-        this._freezeStart = null;
-        this._frameTime = 0;
-        this._freezeLength = 0;
+    var animationFrameScheduler = {
+        request: function (callback) {
+            return requestAnimationFrame(callback);
+        },
+        cancel: function (handle) {
+            if (typeof cancelAnimationFrame === 'function') cancelAnimationFrame(handle);
+        }
+    };
 
-        this._debugMode = false;
-        this._debugStopGameEvent = (function (e) {
-            if (e.keyCode === 32 && e.shiftKey) {
-                e.preventDefault();
-                this.stop();
-            }
-        }).bind(this);
+    /**
+     * The default frame scheduler for headless mode, built on <code>setTimeout()</code> at roughly 60 frames per second.
+     *
+     * @api private
+     */
 
-        document.addEventListener(visibilityChange, this._freeze.bind(this));
-    }
+    var timeoutScheduler = {
+        request: function (callback) {
+            return setTimeout(callback, 1000 / 60);
+        },
+        cancel: function (handle) {
+            clearTimeout(handle);
+        }
+    };
 
-    Plastick.prototype.setHDPIMode = function (scale) {
+    /**
+     * The frame scheduler used in manual mode. It never schedules anything, since frames are driven by <code>Plastick.step()</code> and <code>Plastick.advanceTime()</code>.
+     *
+     * @api private
+     */
 
-        // set HDPI scale
-        if (typeof scale === 'boolean') {
-            this.HDPIMode = scale ? 2 : 1;
-        } else if (typeof scale === 'number') {
-            this.HDPIMode = scale;
-        } else {
-            this.HDPIMode = 1;
+    var manualScheduler = {
+        request: function () {
+            return null;
+        },
+        cancel: function () {
+            return undefined;
         }
+    };
 
-        if (this.canvasMode === 'native canvas') {
-
-            this.canvas.setAttribute('style', 'width: ' + this.canvas.width + 'px; height: ' + this.canvas.height + 'px;');
-            this.canvas.setAttribute('width', this.canvas.width * this.HDPIMode);
-            this.canvas.setAttribute('height', this.canvas.height * this.HDPIMode);
-            this.context.scale(this.HDPIMode, this.HDPIMode);
-            this.canvas.setAttribute('data-resized-for-hdpi', true);
-        } else {
+    /**
+     * The default visibility source, built on the Page Visibility API. Falls back to a page that is never hidden when no document is available.
+     *
+     * @api private
+     */
 
-            // set HDPI for Facade object
-            this.facade.resizeForHDPI(this.HDPIMode);
+    var documentVisibility = {
+        isHidden: function () {
+            return hidden ? !!document[hidden] : false;
+        },
+        listen: function (callback) {
+            if (visibilityChange) document.addEventListener(visibilityChange, callback);
+        },
+        unlisten: function (callback) {
+            if (visibilityChange) document.removeEventListener(visibilityChange, callback);
         }
     };
 
+    // frame driver helpers -------------------------------------------------
+
+    var frameDrivers = [];
+
     /**
-     * This will initialize the game with a pre-defined game state and start simulating the game.
-     *
-     * ```
-     * game.start(introState);
-     * ```
+     * Drives the game loops of every running Plastick object that uses the same frame scheduler, with a single scheduled callback per frame. Games are updated in ascending <code>Plastick.order</code>, and games with the same order are updated in the order they were started.
      *
-     * @param {Object} state The Plastick.State object to start simulating with.
-     * @return {Boolean} This returns <code>false</code> if no valid State is passed in or if the game was already running, otherwise it returns <code>true</code>.
-     * @api public
+     * @param {Object} scheduler The frame scheduler to drive the games with.
+     * @return {Object} A new <code>FrameDriver</code> object.
+     * @api private
      */
 
-    Plastick.prototype.start = function (state) {
-
-        var wasRunning = this.isRunning();
+    function FrameDriver(scheduler) {
 
-        if (state instanceof Plastick.State && !wasRunning) {
+        this.scheduler = scheduler;
+        this.games = [];
+        this._handle = null;
+        this._nextSeq = 0;
+        this._frame = this._frame.bind(this);
+    }
 
-            this._isRunning = true;
-            this.startTime = window.performance.now();
-            this.tickTime = 0;
-            this._frameTime = 0;
+    /**
+     * Returns the driver for a frame scheduler, creating it if there is none yet.
+     *
+     * @param {Object} scheduler The frame scheduler.
+     * @return {Object} The <code>FrameDriver</code> for <code>scheduler</code>.
+     * @api private
+     */
 
-            this.states.push(state);
-            if (this._debugMode) {
-                this.debug('Game started, using ' + this.canvasMode + ' (' + this.currentState().name + ')');
-            }
-            this._createEventListeners(state);
-            state._init(this);
+    FrameDriver.forScheduler = function (scheduler) {
 
-            if (this.canvasMode === 'native canvas') {
-                window.requestAnimationFrame(this._requestAnimationFrame.bind(this));
-            } else {
-                this.facade.draw(this._gameLoop.bind(this));
-            }
+        var driver,
+            i;
 
-            return true;
+        for (i = 0; i < frameDrivers.length; i += 1) {
+            if (frameDrivers[i].scheduler === scheduler) return frameDrivers[i];
         }
-        return state instanceof Plastick.State && !this.wasRunning;
+        driver = new FrameDriver(scheduler);
+        frameDrivers.push(driver);
+        return driver;
     };
 
     /**
-     * This will end simulation of the game and pop all states off the state stack.
+     * Starts driving a game's loop, from the next frame on.
      *
-     * Note that this does not terminate execution of the current game tick. You may want to follow this by <code>return</code>ing from the update loop, or alternately place this call at the very end of your update loop.
-     *
-     * ```
-     * // pressed Escape to quit the game
-     * if (pressedEsc) { game.stop(); }
-     * ```
+     * @param {Object} game The Plastick object to drive.
+     * @return {void}
+     * @api private
+     */
+
+    FrameDriver.prototype.add = function (game) {
+
+        if (this.games.indexOf(game) !== -1) return;
+
+        game._driverSeq = this._nextSeq;
+        this._nextSeq += 1;
+        this.games.push(game);
+        if (this._handle === null) this._handle = this.scheduler.request(this._frame);
+    };
+
+    /**
+     * Stops driving a game's loop. Once no games are left, the scheduled frame is cancelled and the driver is discarded.
      *
-     * @return {Boolean} This returns <code>false</code> if the game was not already running, otherwise it returns <code>true</code>.
+     * @param {Object} game The Plastick object to stop driving.
+     * @return {void}
+     * @api private
      */
 
-    Plastick.prototype.stop = function () {
+    FrameDriver.prototype.remove = function (game) {
 
-        var wasRunning = this.isRunning();
+        var index = this.games.indexOf(game);
 
-        if (wasRunning) {
-            this._isRunning = false;
-            if (this.canvasMode === 'facade') this.facade.stop();
-            this._cleanup();
+        if (index === -1) return;
 
-            if (this._debugMode) {
-                this.debug('Game stopped');
-            }
+        this.games.splice(index, 1);
+        if (!this.games.length) {
+            if (this._handle !== null) this.scheduler.cancel(this._handle);
+            this._handle = null;
+            frameDrivers.splice(frameDrivers.indexOf(this), 1);
         }
-        return wasRunning;
     };
 
     /**
-     * Used to check if the game is running.
+     * Runs one pass of the game loop of every driven game, and schedules the next frame. If a game loop throws, the other games still run and the next frame is still scheduled, and then the first error is rethrown.
      *
-     * ```
-     * if (game.isRunning()) { console.log('The game is running!'); }
-     * ```
-     *
-     * @return {Boolean} This returns <code>true</code> if <code>Plastick.start()</code> has been called and <code>Plastick.stop()</code> has not yet been called.
-     * @api public
+     * @return {void}
+     * @api private
      */
 
-    Plastick.prototype.isRunning = function () {
+    FrameDriver.prototype._frame = function () {
 
-        return this._isRunning;
+        var games = this.games.slice().sort(function (a, b) {
+                return a.order - b.order || a._driverSeq - b._driverSeq;
+            }),
+            errors = [];
+
+        this._handle = null;
+        games.forEach(function (game) {
+            // a game may be stopped by another game's loop
+            if (this.games.indexOf(game) === -1) return;
+            try {
+                game._gameLoop();
+            } catch (e) {
+                errors.push(e);
+            }
+        }, this);
+        if (this.games.length && this._handle === null) this._handle = this.scheduler.request(this._frame);
+        if (errors.length) throw errors[0];
     };
 
+    // interpolation helpers -------------------------------------------------
+
+    var TAU = Math.PI * 2;
+
     /**
-     * This will pause the current game state and start simulation of a new game state on the next game tick by doing the following: <ul><li>Calling the current state's <code>pause()</code> method and destroying its event listeners</li><li>Pushing the passed State onto the state stack, making it the current state</li><li>Calling the new state's <code>init()</code> method and creating its event listeners</li></ul>
-     * Note that this does not terminate execution of the current game tick. Since simulation of the new state will not begin until the next game tick, you may want to follow this by <code>return</code>ing from the update loop, or alternately place this call at the very end of your update loop.
-     *
-     * ```
-     * // pause the game
-     * if (pauseButtonPressed) {
-     *     game.pushState(pauseState);
-     *     return;
-     * }
-     * ```
+     * Performs a linear interpolation between two numeric values.
      *
-     * @param {Object} state The <code>Plastick.State</code> object to switch simulation to.
-     * @return {Boolean} This returns <code>false</code> if no valid <code>Plastick.State</code> is passed in, otherwise it returns <code>true</code>.
+     * @param {Float} before The "before" value.
+     * @param {Float} after The "after" value.
+     * @param {Float} alpha The interpolation value, usually between 0.0 and 1.0.
+     * @return {Float} The result of the linear interpolation.
+     * @api private
      */
 
-    Plastick.prototype.pushState = function (state) {
+    function lerp(before, after, alpha) {
 
-        var prevState = this.currentState();
+        return (after - before) * alpha + before;
+    }
 
-        if (prevState && state instanceof Plastick.State) {
-            prevState._pause(this);
-            this._destroyEventListeners(prevState);
+    /**
+     * Copies a value so that later changes to it (such as moving a vector) do not affect the copy.
+     *
+     * @param {Object} value The value to copy.
+     * @return {Object} A shallow copy of an array or object, or the value itself.
+     * @api private
+     */
 
-            this.states.push(state);
-            if (this._debugMode) {
-                this.debug('Pushed state (' + prevState.name + ' -> ' + this.currentState().name + ')');
-            }
-            this._createEventListeners(state);
-            state._init(this);
+    function copyValue(value) {
 
+        var copy,
+            key;
+
+        if (Array.isArray(value)) return value.slice();
+        if (value === null || typeof value !== 'object') return value;
+
+        copy = {};
+        for (key in value) {
+            if (value.hasOwnProperty(key)) copy[key] = value[key];
         }
-        return state instanceof Plastick.State;
-    };
+        return copy;
+    }
 
     /**
-     * This will end the current game state and resume simulation of the previous game state on the next game tick by doing the following:<ul><li>Calling the current state's <code>cleanup()</code> method and destroying its event listeners</li><li>Popping the current state off the state stack, making the prior state the current state</li><li>Calling the prior state's <code>resume()</code> method and creating its event listeners</li></ul>
-     * Note that this does not terminate execution of the current game tick. Since simulation of the prior state will not resume until the next game tick, you may want to follow this by <code>return</code>ing from the update loop, or alternately place this call at the very end of your update loop.
-     *
-     * If calling this method empties the state stack, <code>Plastick.stop()</code> will be invoked.
+     * Parses a CSS color string.
      *
-     * ```
-     * // unpause the game
-     * if (pauseButtonPressed) {
-     *     game.popState();
-     *     return;
-     * }
-     * ```
-     *
-     * @return {Boolean} This returns <code>false</code> if there is no <code>Plastick.State</code> to pop off the state stack, otherwise this returns <code>true</code>.
-     * @api public
+     * @param {String} color A <code>#rgb</code>, <code>#rrggbb</code>, <code>rgb()</code> or <code>rgba()</code> color.
+     * @return {Array} The red, green, blue and alpha components, or <code>null</code> if the color could not be parsed.
+     * @api private
      */
 
-    Plastick.prototype.popState = function () {
+    function parseColor(color) {
 
-        var prevState = this.states.pop(),
-            state;
+        var match;
 
-        if (prevState) {
-            prevState._cleanup(this);
-            this._destroyEventListeners(prevState);
+        if (typeof color !== 'string') return null;
+        if ((match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color))) {
+            return [parseInt(match[1] + match[1], 16), parseInt(match[2] + match[2], 16), parseInt(match[3] + match[3], 16), 1];
         }
-        state = this.currentState();
-        if (state) {
-            if (this._debugMode) {
-                this.debug('Popped state (' + prevState.name + ' -> ' + this.currentState().name + ')');
-            }
-            this._createEventListeners(state);
-            state._resume(this);
-        } else {
-            if (this._debugMode) {
-                this.debug('Popped state (' + prevState.name + ' -> [empty])');
-            }
-            this.stop();
+        if ((match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color))) {
+            return [parseInt(match[1], 16), parseInt(match[2], 16), parseInt(match[3], 16), 1];
         }
-        return prevState !== undefined;
-    };
+        if ((match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(color))) {
+            return [+match[1], +match[2], +match[3], match[4] === undefined ? 1 : +match[4]];
+        }
+        return null;
+    }
+
+    // input recording helpers -----------------------------------------------
 
     /**
-     * This will redirect simulation from the current game state to a new game state on the next game tick by doing the following:<ul><li>Calling the current state's <code>cleanup()</code> method and destroying its event listeners</li><li>Popping the current state off the state stack</li><li>Pushing the passed State onto the state stack, making it the current state</li><li>Calling the new state's <code>init()</code> method and creating its event listeners</li></ul>
-     * Note that this does not terminate execution of the current game tick. Since simulation of the new state will not begin until the next game tick, you may want to follow this by <code>return</code>ing from the update loop, or alternately place this call at the very end of your update loop.
-     *
-     * If calling this method empties the state stack, <code>Plastick.stop()</code> will be invoked. This may happen if the passed state is invalid and cannot be pushed onto the state stack.
-     *
-     * ```
-     * // enter the main menu from the intro splash screen
-     * if (pressedAnyKey) {
-     *     game.changeState(menuState);
-     *     return;
-     * }
-     * ```
+     * Copies the primitive properties of an event into a plain object, so that it can be stored in a recording and serialized to JSON.
      *
-     * @param {Object} state The <code>Plastick.State</code> object to switch simulation to.
-     * @return {Boolean} This returns <code>false</code> if there is no <code>Plastick.State</code> to pop off the state stack or if no valid <code>Plastick.State</code> is passed in, otherwise this returns <code>true</code>.
-     * @api public
+     * @param {Object} e The event to copy.
+     * @return {Object} A plain copy of the event.
+     * @api private
      */
 
-    Plastick.prototype.changeState = function (state) {
-
-        var prevState = this.currentState();
+    function serializeEvent(e) {
 
-        if (prevState && state instanceof Plastick.State) {
-            this.states.pop();
-            prevState._cleanup(this);
-            this._destroyEventListeners(prevState);
+        var copy = {},
+            key,
+            type;
 
-            this.states.push(state);
-            if (this._debugMode) {
-                this.debug('Changed state (' + prevState.name + ' -> ' + this.currentState().name + ')');
+        for (key in e) {
+            type = typeof e[key];
+            if (type === 'string' || type === 'number' || type === 'boolean') {
+                copy[key] = e[key];
             }
-            this._createEventListeners(state);
-            state._init(this);
         }
-        return prevState !== undefined && state instanceof Plastick.State;
-    };
+        return copy;
+    }
 
     /**
-     * This returns the State currently being simulated.
+     * Rebuilds an event from a recording, so it can be passed to a listener callback in place of a live event.
      *
-     * @return {Object} The current game state, as a <code>Plastick.State</code> object.
-     * @api public
+     * @param {Object} recorded The recorded copy of the event.
+     * @return {Object} An event-like object.
+     * @api private
      */
 
-    Plastick.prototype.currentState = function () {
+    function replayedEvent(recorded) {
 
-        return this.states[this.states.length - 1];
-    };
+        var e = {},
+            key;
+
+        for (key in recorded) {
+            if (recorded.hasOwnProperty(key)) e[key] = recorded[key];
+        }
+        e.replayed = true;
+        e.preventDefault = function () { return undefined; };
+        e.stopPropagation = function () { return undefined; };
+        e.stopImmediatePropagation = function () { return undefined; };
+        return e;
+    }
+
+    // snapshot helpers ------------------------------------------------------
 
     /**
-     * This returns the number of milliseconds that have passed in the game. If a time argument is passed in (milliseconds since the page session started), this instead converts that time to the equivalent game time and returns the result. Note that game time may be suspended whenever the containing browser tab is hidden.
+     * Deep-copies JSON-compatible data for a snapshot.
      *
-     * @param {Integer} [time] A timestamp (time since beginning of session) to convert to game time.
-     * @return {Float} The number of milliseconds that have passed between now (or <code>time</code>) and the time <code>Plastick.start()</code> was called, not including "frozen" time (blurred focus).
+     * @param {Object} value The data to copy.
+     * @return {Object} The copy, or an empty object if there was no data.
+     * @api private
      */
 
-    Plastick.prototype.gameTime = function (time) {
+    function copyData(value) {
 
-        if (time) return time - this.startTime - this._freezeLength;
-        return window.performance.now() - this.startTime - this._freezeLength;
-    };
+        return value === undefined ? {} : JSON.parse(JSON.stringify(value));
+    }
 
     /**
-     * Performs a linear interpolation between two numeric values using <code>Plastick.tickAlpha</code>.
-     *
-     * ```
-     * var xPos = game.lerp(sprite.prevPosition.x, sprite.currPosition.x);
-     * ```
+     * Checks that a snapshot has everything <code>Plastick.restore()</code> needs, before any of the game is changed.
      *
-     * @param {Float} before The "before" value.
-     * @param {Float} after The "after" value.
-     * @param {Float} [alpha] If provided, the values will be interpolated using this, instead of <code>Plastick.tickAlpha</code>. This should be a value between 0.0 and 1.0 (although other
-     values will be processed respectively if you need to do so).
-     * @return {Float} The result of the linear interpolation.
+     * @param {Object} snapshot The snapshot to check.
+     * @return {Boolean} This returns <code>true</code> if the snapshot is well-formed, otherwise it returns <code>false</code>.
+     * @api private
      */
 
-    Plastick.prototype.lerp = function (before, after, alpha) {
+    function validSnapshot(snapshot) {
 
-        if (alpha === undefined) {
-            alpha = this.tickAlpha;
+        function isData(value) {
+            return typeof value === 'object' && value !== null;
         }
-        return (after - before) * alpha + before;
+
+        return isData(snapshot) && isData(snapshot.data) &&
+            typeof snapshot.currentTick === 'number' && isFinite(snapshot.currentTick) &&
+            typeof snapshot.gameTime === 'number' && isFinite(snapshot.gameTime) &&
+            Array.isArray(snapshot.states) && snapshot.states.length > 0 &&
+            snapshot.states.every(function (entry) {
+                return isData(entry) && typeof entry.name === 'string' && isData(entry.data);
+            });
+    }
+
+    /**
+     * Returns <code>window.localStorage</code> if it can be used, or else a new <code>Plastick.MemoryStorage</code>.
+     *
+     * @return {Object} The default snapshot storage.
+     * @api private
+     */
+
+    function defaultStorage() {
+
+        try {
+            if (hasWindow && window.localStorage) return window.localStorage;
+        } catch (e) {
+            // access to localStorage can be denied (private browsing, sandboxed frames)
+        }
+        return new Plastick.MemoryStorage();
+    }
+
+    // stats helpers ---------------------------------------------------------
+
+    /**
+     * Summarizes a list of measurements.
+     *
+     * @param {Array} values The measurements.
+     * @return {Object} The <code>average</code>, <code>min</code>, <code>max</code>, <code>p50</code>, <code>p95</code> and <code>p99</code> of the values (all 0 if there are none).
+     * @api private
+     */
+
+    function summarize(values) {
+
+        var sorted = values.slice().sort(function (a, b) { return a - b; }),
+            total = 0;
+
+        function percentile(p) {
+            return sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)] : 0;
+        }
+
+        sorted.forEach(function (value) { total += value; });
+        return {
+            average: sorted.length ? total / sorted.length : 0,
+            min: sorted.length ? sorted[0] : 0,
+            max: sorted.length ? sorted[sorted.length - 1] : 0,
+            p50: percentile(50),
+            p95: percentile(95),
+            p99: percentile(99)
+        };
+    }
+
+    // asset helpers ---------------------------------------------------------
+
+    var ASSET_TYPES = {
+        png: 'image', jpg: 'image', jpeg: 'image', gif: 'image', webp: 'image', svg: 'image', bmp: 'image',
+        mp3: 'audio', ogg: 'audio', oga: 'audio', wav: 'audio', m4a: 'audio', aac: 'audio', flac: 'audio',
+        json: 'json',
+        woff: 'font', woff2: 'font', ttf: 'font', otf: 'font'
     };
 
+    var sharedAudioContext = null;
+
     /**
-     * Returns the width of the canvas, independent of the HDPI mode. When using a Facade object, this should be equivalent to <code>Facade.width()</code>.
+     * Guesses the type of an asset from the file extension of its URL.
+     *
+     * @param {String} url The URL of the asset.
+     * @return {String} One of the <code>Plastick.loaders</code> types, or <code>undefined</code> if the extension is not recognised.
+     * @api private
+     */
+
+    function assetType(url) {
+
+        var match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url);
+
+        return match ? ASSET_TYPES[match[1].toLowerCase()] : undefined;
+    }
+
+    /**
+     * Fetches a URL with <code>XMLHttpRequest</code>.
+     *
+     * @param {String} url The URL to fetch.
+     * @param {String} responseType The <code>XMLHttpRequest.responseType</code> to use.
+     * @param {Function} done Called with an error, or with <code>null</code> and the response.
+     * @return {void}
+     * @api private
+     */
+
+    function fetchURL(url, responseType, done) {
+
+        var xhr;
+
+        if (typeof XMLHttpRequest === 'undefined') {
+            done(new Error('Can not load ' + url + ' without XMLHttpRequest'));
+            return;
+        }
+        xhr = new XMLHttpRequest();
+        xhr.open('GET', url);
+        xhr.responseType = responseType;
+        xhr.onload = function () {
+            // status 0 is used for file:// URLs
+            if ((xhr.status >= 200 && xhr.status < 300) || (xhr.status === 0 && xhr.response)) done(null, xhr.response);
+            else done(new Error('Failed to load ' + url + ' (' + xhr.status + ')'));
+        };
+        xhr.onerror = function () {
+            done(new Error('Failed to load ' + url));
+        };
+        xhr.send();
+    }
+
+    /**
+     * Returns the <code>AudioContext</code> shared by every Plastick object, creating it the first time it is needed.
+     *
+     * @return {Object} The audio context, or <code>null</code> if Web Audio is not supported.
+     * @api private
+     */
+
+    function audioContext() {
+
+        var AudioContext = hasWindow ? window.AudioContext || window.webkitAudioContext : undefined;
+
+        if (!sharedAudioContext && AudioContext) sharedAudioContext = new AudioContext();
+        return sharedAudioContext;
+    }
+
+    // renderer helpers ------------------------------------------------------
+
+    /**
+     * Finds the renderer adapter for a stage, trying the adapters in <code>Plastick.renderers</code> from the most recently added one to the first built-in one.
+     *
+     * @param {Object} [stage] The stage passed to the Plastick constructor.
+     * @return {Object} The first adapter whose <code>test()</code> accepts the stage.
+     * @api private
+     */
+
+    function detectRenderer(stage) {
+
+        var names = Object.keys(Plastick.renderers).reverse(),
+            i;
+
+        for (i = 0; i < names.length; i += 1) {
+            if (Plastick.renderers[names[i]].test(stage)) return Plastick.renderers[names[i]];
+        }
+        return Plastick.renderers['null'];
+    }
+
+    /**
+     * Resizes a canvas so that a virtual width and height are drawn at a number of canvas pixels per virtual pixel. The context transform is replaced rather than scaled, so this can be repeated safely.
+     *
+     * @param {Object} canvas The canvas (or <code>OffscreenCanvas</code>) to resize.
+     * @param {Object} context The canvas's 2D context.
+     * @param {Float} ratio The number of canvas pixels per virtual pixel.
+     * @param {Float} width The virtual width.
+     * @param {Float} height The virtual height.
+     * @return {void}
+     * @api private
+     */
+
+    function resizeCanvas(canvas, context, ratio, width, height) {
+
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    /**
+     * Sets the size of a canvas element on the page, and optionally its offset within its container.
+     *
+     * @param {Object} canvas The canvas element.
+     * @param {Float} width The width, in CSS pixels.
+     * @param {Float} height The height, in CSS pixels.
+     * @param {Float} [left] The left margin, in CSS pixels.
+     * @param {Float} [top] The top margin, in CSS pixels.
+     * @return {void}
+     * @api private
+     */
+
+    function styleCanvas(canvas, width, height, left, top) {
+
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+        if (left !== undefined) {
+            canvas.style.display = 'block';
+            canvas.style.marginLeft = left + 'px';
+            canvas.style.marginTop = top + 'px';
+        }
+    }
+
+    // catch-up helpers ------------------------------------------------------
+
+    var LAG_RECOVERY = 1.02, // growth of the 'slow' policy's time scale per frame that keeps up
+        MIN_LAG_SCALE = 0.1; // slowest the 'slow' policy will make game time
+
+    // worker helpers --------------------------------------------------------
+
+    var STATE_CHANGES = ['_pushState', '_popState', '_changeState'];
+
+    /**
+     * Describes a change to the state stack as a message that can be posted between the main thread and a worker. States are sent by the key they were registered under, and transitions by name, so a transition that was passed in as an object is left out.
+     *
+     * @param {Object} game The Plastick object the change is made to.
+     * @param {String} method The name of the private method that performs the change.
+     * @param {Array} args The arguments the method is called with.
+     * @return {Object} The message.
+     * @api private
+     */
+
+    function stateChangeMessage(game, method, args) {
+
+        var pop = method === '_popState',
+            state = pop ? null : args[0],
+            transition = args[args.length - 1];
+
+        return {
+            type: 'state',
+            method: method,
+            state: state instanceof Plastick.State ? game._stateKey(state) : null,
+            params: pop ? args[0] : args[1],
+            transition: typeof transition === 'string' ? transition : null
+        };
+    }
+
+    /**
+     * Turns a message made by <code>stateChangeMessage()</code> back into the arguments of the method that performs the change.
+     *
+     * @param {Object} game The Plastick object to look the state up in.
+     * @param {Object} message The message.
+     * @return {Array} The arguments.
+     * @api private
+     */
+
+    function stateChangeArgs(game, message) {
+
+        var transition = message.transition === null ? undefined : message.transition;
+
+        if (message.method === '_popState') return [message.params, transition];
+        return [game._resolveState(message.state), message.params, transition];
+    }
+
+    /**
+     * Handlers for the messages a worker receives from the main thread (see <code>Plastick.serveWorker()</code>), by message type.
+     *
+     * @api private
+     */
+
+    var mainMessages = {
+        start: function (game, message) {
+            game.start(message.state, message.params);
+        },
+        stop: function (game) {
+            game.stop();
+        },
+        state: function (game, message) {
+            if (STATE_CHANGES.indexOf(message.method) < 0) return;
+            game._requestStateChange(message.method, stateChangeArgs(game, message));
+        },
+        input: function (game, message) {
+            game.input._apply(message.change, message.value);
+        },
+        freeze: function (game, message) {
+            game.freeze(message.reason);
+        },
+        unfreeze: function (game, message) {
+            game.unfreeze(message.reason);
+        },
+        restore: function (game, message) {
+            game.restore(message.snapshot);
+        },
+        timescale: function (game, message) {
+            game.setTimeScale(message.factor);
+        }
+    };
+
+    /**
+     * Handlers for the messages the main thread receives from a worker (see <code>Plastick.startWorker()</code>), by message type.
+     *
+     * @api private
+     */
+
+    var workerMessages = {
+        tick: function (game, message) {
+            game._receiveTick(message);
+        },
+        state: function (game, message) {
+            if (STATE_CHANGES.indexOf(message.method) < 0) return;
+            // apply the change here, rather than sending it back to the worker
+            game._stateChanges.push({ method: message.method, args: stateChangeArgs(game, message) });
+            if (!game._deferChanges) game._applyStateChanges();
+        },
+        restore: function (game, message) {
+            var states = game._snapshotStates(message.snapshot);
+
+            // apply the restore here, rather than sending it back to the worker; a stack that can't be rebuilt is reported by the next tick
+            if (states === null) return;
+            game._stateChanges.push({ method: '_restore', args: [message.snapshot, states] });
+            if (!game._deferChanges) game._applyStateChanges();
+        },
+        stop: function (game) {
+            game.stop();
+        }
+    };
+
+    // Plastick v0.4.1 /////////////////////////////////////////////////////////
+
+    /**
+     * Create a Plastick object for your game by passing it a canvas object OR a Facade object that will be used to draw to the canvas. The Plastick object automatically controls the update loop and draw loop for your game project, and transfers the game simulation between various States.
      *
      * ```
-     * var stage = document.querySelector('canvas');
-     * stage.setAttribute('width', 720);
-     * stage.setAttribute('height', 480);
      * var game = new Plastick(stage);
+     * ```
      *
-     * // displays 480
-     * console.log(game.height());
+     * Plastick can also run in "headless" mode, without any canvas at all (for example in Node, on a server, or in a unit test process). Headless mode is used when no stage is passed in, or when the <code>headless</code> option is set. The clock, frame scheduler and visibility source may be replaced in any mode. Setting the <code>manual</code> option stops the clock and the scheduler entirely, so that game time only advances through <code>Plastick.step()</code> and <code>Plastick.advanceTime()</code>.
      *
-     * game.setHDPIMode(2);
-     * // still displays 480
-     * console.log(game.height());
+     * ```
+     * var game = new Plastick(null, {
+     *     clock: function () { return Date.now(); },
+     *     scheduler: {
+     *         request: function (callback) { return setImmediate(callback); },
+     *         cancel: function (handle) { clearImmediate(handle); }
+     *     }
+     * });
+     * ```
+     *
+     * @property {Object} renderer The renderer drawing the game (see <code>Plastick.renderers</code>).
+     * @property {String} canvasMode The kind of renderer: <code>'native canvas'</code>, <code>'facade'</code>, <code>'offscreen'</code>, <code>'headless'</code>, or the mode of a custom renderer.
+     * @property {Object} canvas Reference to the canvas object, if the renderer has one.
+     * @property {Object} facade Reference to the Facade context, if one is being used.
+     * @property {Object} context Reference to the canvas rendering context, if the renderer has one.
+     * @property {Object} states A stack of game states for flipping through various states of the game (intro, demo screen, menus, pause screen, etc).
+     * @property {Object} registry The states registered with <code>Plastick.registerState()</code>, by name.
+     * @property {Object} transitionRegistry The transition factories registered with <code>Plastick.registerTransition()</code>, by name.
+     * @property {Object} input The <code>Plastick.Input</code> manager, which tracks keyboard, mouse, touch and gamepad input once per tick.
+     * @property {Object} audio The <code>Plastick.Audio</code> manager, which plays sounds and music with Web Audio.
+     * @property {Float} startTime The session time at which <code>Plastick.start()</code> was called.
+     * @property {Integer} currentTick Current unit of game time. Each tick represents one execution of the <code>Plastick.State.update()</code> method. Ticks are counted from 0 each time the game is started.
+     * @property {Float} tickAlpha Interpolation (alpha) value of current tick. This is used in a system implementing fixed time step interpolation, usually to smooth screen updates that occur in between ticks. Updated immediately before executing the <code>Plastick.State.draw()</code> code.
+     * @property {Boolean} isRunning True if the Plastick object is in a running state.
+     * @property {Object} data A generic object which the user can store any game-related data in. This is not explicitly used by the Plastick framework, so you can store anything here.
+     * @property {Object} previousData On the main thread of a game simulated in a worker (see <code>Plastick.startWorker()</code>), <code>Plastick.data</code> as it was one tick earlier. Otherwise this is <code>null</code>.
+     * @property {Object} methods A generic object which the user can store any game-related methods in. This is not explicitly used by the Plastick framework, so you can store anything here.
+     * @property {Integer} TARGET_TPS The target rate of game simulation, in ticks per second. This can be changed while the game is running; the new rate takes effect from the end of the current tick.
+     * @property {Integer} TICK_CHOKE The maximum number of ticks simulated per canvas frame.
+     * @property {String|Function} catchUpPolicy What to do with the ticks left over when a frame hits <code>Plastick.TICK_CHOKE</code>: the name of one of the <code>Plastick.catchUp</code> policies (<code>'keep'</code>, the default, <code>'drop'</code> or <code>'slow'</code>), or a custom policy function. An unknown name throws an error from the first frame that hits <code>Plastick.TICK_CHOKE</code>.
+     * @property {Float} timeScale How fast game time passes relative to real time. Change this with <code>Plastick.setTimeScale()</code>.
+     * @property {Function} clock Returns the current session time in milliseconds. Used for all of Plastick's timekeeping.
+     * @property {Object} scheduler Schedules each frame of the game loop, with <code>request(callback)</code> and <code>cancel(handle)</code> methods. Running Plastick objects that use the same scheduler share a single scheduled callback per frame. Not used by renderers that schedule their own frames (such as Facade).
+     * @property {Integer} order The order in which this game is updated, relative to other running Plastick objects that share its scheduler. Games with a lower order are updated first, and games with the same order are updated in the order they were started. Defaults to 0.
+     * @property {Boolean} freezeOnBlur If true (the default), the game is frozen with the reason <code>"blur"</code> whenever the page is hidden.
+     * @property {Boolean} drawWhileFrozen If true, the current state keeps being drawn while the game is frozen (with game time, and so <code>Plastick.tickAlpha</code>, held still). Defaults to false.
+     * @property {Object} visibility Reports whether the page is hidden, with <code>isHidden()</code>, <code>listen(callback)</code> and <code>unlisten(callback)</code> methods.
+     * @property {Object} assets Every asset loaded with <code>Plastick.load()</code>, by name.
+     * @property {Object} storage Where snapshots are saved by <code>Plastick.saveSnapshot()</code>, with the <code>getItem()</code>, <code>setItem()</code> and <code>removeItem()</code> methods of <code>window.localStorage</code>. Defaults to <code>localStorage</code> when it is available, or else a <code>Plastick.MemoryStorage</code>.
+     * @param {Object} [stage] The canvas object, <code>OffscreenCanvas</code> or Facade object that will handle drawing the Plastick states (or whatever a custom renderer draws to). Omit this to run in headless mode.
+     * @param {Object} [options] Optional settings: <code>headless</code>, <code>manual</code>, <code>input</code> (if true, <code>Plastick.input</code> listens to the page while the game is running), <code>renderer</code> (the name of one of the <code>Plastick.renderers</code>, which throws an error if there is none by that name, or an adapter object, to use instead of detecting one from the stage), <code>clock</code>, <code>scheduler</code>, <code>visibility</code>, <code>storage</code>, <code>audioContext</code> (an <code>AudioContext</code> for <code>Plastick.audio</code> to play sounds with, instead of the shared one), and the virtual <code>width</code> and <code>height</code> used in headless mode.
+     * @return {Object} New Plastick object.
+     * @api public
+     */
+
+    function Plastick(stage, options) {
+
+        var renderer;
+
+        options = options || {};
+
+        this.TARGET_TPS = 30; // target game ticks per second
+        this.TICK_CHOKE = 50; // max # of ticks per canvas frame
+        this.catchUpPolicy = 'keep';
+
+        if (typeof options.renderer === 'object') renderer = options.renderer;
+        else if (options.renderer) {
+            if (!Plastick.renderers.hasOwnProperty(options.renderer)) throw new Error('Unknown renderer: ' + options.renderer);
+            renderer = Plastick.renderers[options.renderer];
+        }
+        else renderer = options.headless ? Plastick.renderers['null'] : detectRenderer(stage);
+
+        this.renderer = renderer.create(stage, options);
+        this.canvasMode = this.renderer.mode;
+        this.canvas = this.renderer.canvas || null;
+        this.context = this.renderer.context || null;
+        if (this.renderer.facade) this.facade = this.renderer.facade;
+
+        if (options.manual) {
+            this.clock = function () { return 0; };
+            this.scheduler = manualScheduler;
+        } else {
+            this.clock = options.clock || defaultClock;
+            this.scheduler = options.scheduler || this.renderer.scheduler || animationFrameScheduler;
+        }
+        this.visibility = options.visibility || documentVisibility;
+        this.storage = options.storage || defaultStorage();
+
+        this.HDPIMode = 1;
+        this.data = {};
+        this.previousData = null;
+        this.methods = {};
+        this.states = [];
+        this.registry = {};
+        this.transitionRegistry = {};
+        this.assets = {};
+        this.startTime = null;
+        this.currentTick = 0;
+        this.tickTime = 0;
+        this.tickAlpha = 0;
+        this.freezeOnBlur = true;
+        this.drawWhileFrozen = false;
+
+        this._isRunning = false;
+        this._freezeReasons = {};
+        this._freezeStart = null;
+        this._frameTime = 0;
+        this._freezeLength = 0;
+        this.timeScale = 1;
+        this._lagScale = 1; // extra time scale applied by the 'slow' catch-up policy
+        this._timeBase = 0; // game time at the last change of time scale
+        this._realBase = 0; // real time at the last change of time scale
+        this._tickBase = 0; // tick at the last change of tick rate
+        this._tickTimeBase = 0; // game time at which _tickBase ended
+        this._tickRate = this.TARGET_TPS;
+        this.order = 0;
+        this._driver = null;
+        this._destroyed = false;
+        this._sizing = null;
+        this._resizeHandler = this.resize.bind(this);
+        this._resizeObserver = null;
+        this._recording = null;
+        this._replay = null;
+        this._worker = null; // the worker simulating the game, on the main thread
+        this._port = null; // the main thread drawing the game, in a worker
+        this._transition = null;
+        this._stateChanges = [];
+        this._deferChanges = false;
+        this._handlers = {};
+        this._timers = [];
+        this._tweens = [];
+        this._interpolated = [];
+        this.input = new Plastick.Input(this);
+        this.input.autoAttach = !!options.input;
+        this.audio = new Plastick.Audio(this, options.audioContext);
+        this._stats = new Plastick.Stats(this, options.clock || defaultClock);
+
+        this._debugMode = false;
+        this._debugStopGameEvent = (function (e) {
+            if (e.keyCode === 32 && e.shiftKey) {
+                e.preventDefault();
+                this.stop();
+            }
+        }).bind(this);
+
+        this._visibilityHandler = this._freeze.bind(this);
+        this.visibility.listen(this._visibilityHandler);
+
+        this._hook('init');
+    }
+
+    /**
+     * Sets the number of canvas pixels drawn per virtual pixel, for sharp drawing on high DPI screens. The canvas keeps its virtual size (see <code>Plastick.width()</code>), and this can safely be called again to change the mode. While a size mode is set with <code>Plastick.setSizeMode()</code>, this instead sets the device pixel ratio that the size mode uses.
      *
      * ```
+     * game.setHDPIMode(window.devicePixelRatio);
+     * ```
      *
-     * @return {Float} The virtual width of the canvas.
+     * @param {Boolean|Float} [scale] The number of canvas pixels per virtual pixel, or <code>true</code> for 2. Defaults to 1.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.setHDPIMode = function (scale) {
+
+        var width = this.width(),
+            height = this.height();
+
+        // set HDPI scale
+        if (typeof scale === 'boolean') {
+            scale = scale ? 2 : 1;
+        } else if (typeof scale !== 'number') {
+            scale = 1;
+        }
+
+        if (this._sizing) {
+            this._sizing.pixelRatio = scale;
+            this.resize();
+            return;
+        }
+        this.HDPIMode = scale;
+
+        this.renderer.setPixelRatio(this.HDPIMode, width, height);
+        if (this.renderer.setDisplaySize) this.renderer.setDisplaySize(width, height);
+    };
+
+    /**
+     * Makes the canvas fit its container (or the window), and keeps it fitted whenever the container or the window is resized. The canvas is drawn at <code>window.devicePixelRatio</code> automatically, so it stays sharp on high DPI screens. Three size modes are supported: <ul><li><code>'letterbox'</code> (the default): the game keeps a fixed virtual resolution, and is scaled up or down as far as it fits while keeping its aspect ratio, with bars above and below (letterbox) or on either side (pillarbox)</li><li><code>'integer'</code>: like <code>'letterbox'</code>, but only scaled by whole numbers (when it fits at least once), for crisp pixel art</li><li><code>'fill'</code>: the virtual resolution follows the size of the container, so the game always fills it</li></ul>
+     * The canvas is centered in the container with CSS margins, so it should be the first thing in its container; the bars show the container's background. A <code>resize</code> game event is emitted (with the new virtual width and height) whenever the canvas is fitted, which states can subscribe to with <code>Plastick.State.subscribe()</code>.
+     *
+     * ```
+     * game.setSizeMode({ mode: 'integer', width: 320, height: 180, smoothing: false });
+     * hudState.subscribe('resize', function (width, height) {
+     *     hud.layout(width, height);
+     * });
+     * ```
+     *
+     * @param {Object|Boolean} [options] Optional settings: <code>mode</code>, the virtual <code>width</code> and <code>height</code> (which default to the current size of the game), the <code>container</code> element (which defaults to the window), <code>pixelRatio</code> (which defaults to <code>window.devicePixelRatio</code>) and <code>smoothing</code> (the canvas context's <code>imageSmoothingEnabled</code>, if set). Pass <code>false</code> to stop fitting the canvas, leaving it at its current size.
+     * @return {Boolean} This returns <code>false</code> if the renderer is not shown on the page (for example, in headless mode), otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.setSizeMode = function (options) {
+
+        if (!this.renderer.setDisplaySize) return false;
+
+        this._unlistenResize();
+        if (options === false) {
+            this._sizing = null;
+            return true;
+        }
+
+        options = options || {};
+        this._sizing = {
+            mode: options.mode || 'letterbox',
+            width: options.width || this.width(),
+            height: options.height || this.height(),
+            container: options.container || null,
+            pixelRatio: options.pixelRatio,
+            smoothing: options.smoothing
+        };
+        this._listenResize();
+        this.resize();
+        return true;
+    };
+
+    /**
+     * Fits the canvas again (see <code>Plastick.setSizeMode()</code>). This is done automatically whenever the window or the container is resized, but it can also be called after changing the page layout in some other way.
+     *
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.resize = function () {
+
+        var sizing = this._sizing,
+            container = sizing && sizing.container,
+            pixelRatio,
+            available,
+            scale,
+            ratio;
+
+        if (!sizing) return;
+
+        pixelRatio = sizing.pixelRatio || (hasWindow && window.devicePixelRatio) || 1;
+        available = container ?
+                { width: container.clientWidth, height: container.clientHeight } :
+                { width: hasWindow ? window.innerWidth : sizing.width, height: hasWindow ? window.innerHeight : sizing.height };
+
+        if (sizing.mode === 'fill') {
+            sizing.width = available.width;
+            sizing.height = available.height;
+            scale = 1;
+        } else {
+            scale = Math.min(available.width / sizing.width, available.height / sizing.height);
+            if (sizing.mode === 'integer' && scale >= 1) scale = Math.floor(scale);
+        }
+        ratio = scale * pixelRatio;
+
+        this.renderer.setPixelRatio(ratio, sizing.width, sizing.height);
+        if (sizing.smoothing !== undefined && this.context) this.context.imageSmoothingEnabled = sizing.smoothing;
+        this.HDPIMode = ratio;
+
+        this.renderer.setDisplaySize(sizing.width * scale, sizing.height * scale,
+            (available.width - sizing.width * scale) / 2, (available.height - sizing.height * scale) / 2);
+
+        if (this._debugMode) {
+            this.debug('Resized to ' + sizing.width + 'x' + sizing.height + ' (scale ' + scale + ', pixel ratio ' + pixelRatio + ')');
+        }
+        this.emit('resize', sizing.width, sizing.height);
+    };
+
+    /**
+     * Starts listening for changes to the size of the window or the container.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._listenResize = function () {
+
+        if (hasWindow) window.addEventListener('resize', this._resizeHandler);
+        if (this._sizing.container && typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(this._resizeHandler);
+            this._resizeObserver.observe(this._sizing.container);
+        }
+    };
+
+    /**
+     * Stops listening for changes to the size of the window or the container.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._unlistenResize = function () {
+
+        if (hasWindow) window.removeEventListener('resize', this._resizeHandler);
+        if (this._resizeObserver) this._resizeObserver.disconnect();
+        this._resizeObserver = null;
+    };
+
+    /**
+     * This will initialize the game with a pre-defined game state and start simulating the game.
+     *
+     * ```
+     * game.start(introState);
+     * ```
+     *
+     * @param {Object|String} state The Plastick.State object to start simulating with, or the name it was registered under with <code>Plastick.registerState()</code>.
+     * @param {Object} [params] Parameters to pass to the state's <code>init()</code> callback.
+     * @return {Boolean} This returns <code>false</code> if no valid State is passed in, if the game was already running or if it has been destroyed, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.start = function (state, params) {
+
+        var wasRunning = this.isRunning();
+
+        if (this._destroyed) return false;
+        state = this._resolveState(state);
+
+        if (state instanceof Plastick.State && !wasRunning) {
+
+            this._run();
+
+            this.states.push(state);
+            if (this._debugMode) {
+                this.debug('Game started, using ' + this.canvasMode + ' (' + this.currentState().name + ')');
+            }
+            this._createEventListeners(state);
+            state._init(this, params || {});
+            this.emit('start');
+
+            this._scheduleFrames();
+            return true;
+        }
+        return state instanceof Plastick.State && !this.wasRunning;
+    };
+
+    /**
+     * This will end simulation of the game and pop all states off the state stack.
+     *
+     * Note that this does not terminate execution of the current game tick. You may want to follow this by <code>return</code>ing from the update loop, or alternately place this call at the very end of your update loop.
+     *
+     * ```
+     * // pressed Escape to quit the game
+     * if (pressedEsc) { game.stop(); }
+     * ```
+     *
+     * @return {Boolean} This returns <code>false</code> if the game was not already running, otherwise it returns <code>true</code>.
+     */
+
+    Plastick.prototype.stop = function () {
+
+        var wasRunning = this.isRunning();
+
+        if (wasRunning) {
+            this._isRunning = false;
+            if (this.renderer.halt) this.renderer.halt();
+            else if (this._driver !== null) {
+                this._driver.remove(this);
+                this._driver = null;
+            }
+            this._cleanup();
+            if (this.input.autoAttach) this.input.detach();
+            this.audio.stopAll();
+            this._unlinkWorker();
+            if (this._port !== null) this._port.target.postMessage({ type: 'stop' });
+
+            if (this._debugMode) {
+                this.debug('Game stopped');
+            }
+            this.emit('stop');
+        }
+        return wasRunning;
+    };
+
+    /**
+     * Tears the game down for good: stops it (cleaning up every state on the state stack), removes every page listener Plastick added (page visibility, input, the debug key combo and, in a worker, messages from the main thread), and unsubscribes every game event callback after emitting a final <code>destroy</code> event. A destroyed game can not be started again. Use this when a game is removed from the page, or before it is replaced during hot reloading.
+     *
+     * ```
+     * widget.on('remove', function () {
+     *     game.destroy();
+     * });
+     * ```
+     *
+     * @return {Boolean} This returns <code>false</code> if the game was already destroyed, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.destroy = function () {
+
+        if (this._destroyed) return false;
+
+        this.stop();
+        this.setDebug(false);
+        this._unlistenResize();
+        this.visibility.unlisten(this._visibilityHandler);
+        this.input.detach();
+        if (this.renderer.destroy) this.renderer.destroy();
+        if (this._port !== null) {
+            this._port.target.removeEventListener('message', this._port.handler);
+            this._port = null;
+        }
+        this.emit('destroy');
+
+        this._destroyed = true;
+        this._handlers = {};
+        this._freezeReasons = {};
+        this._freezeStart = null;
+        this._interpolated = [];
+        this._recording = null;
+        this._replay = null;
+        this.registry = {};
+        this.transitionRegistry = {};
+        this.assets = {};
+        return true;
+    };
+
+    /**
+     * Starts the game in split mode, with the simulation running in a Web Worker and only drawing done on the main thread. The worker script loads Plastick, registers its states and calls <code>Plastick.serveWorker()</code>; the main thread registers states under the same names, and starts the game with this method instead of <code>Plastick.start()</code>. The worker then simulates every tick, and the main thread draws the latest two ticks posted from the worker with <code>Plastick.tickAlpha</code>.
+     *
+     * On the main thread, each state's <code>draw()</code> callback runs as usual, but its <code>update()</code> callback, timers and tweens never run. Instead, <code>Plastick.data</code> and each state's <code>data</code> are replaced with copies of the worker's data after every tick, and <code>Plastick.previousData</code> and each state's <code>previousData</code> hold the copies from the tick before, so they can be drawn with <code>Plastick.lerp()</code>. Data is copied like <code>Plastick.snapshot()</code> does, so it must be JSON-compatible.
+     *
+     * The state stack behaves the same in both modes. <code>Plastick.pushState()</code>, <code>Plastick.popState()</code> and <code>Plastick.changeState()</code> can be called on either thread: calls on the main thread are sent to the worker, and every change the worker makes (including at the end of a tick) is sent back once it has been made, and made on the main thread too, with the same parameters, so that the states' <code>init()</code>, <code>cleanup()</code>, <code>pause()</code> and <code>resume()</code> callbacks run on both threads. Since a change requested on the main thread is only made once it comes back, the value returned there reflects the state stack at the time of the call, as it does for a queued change. Transitions are sent by name: one passed by a name registered with <code>Plastick.registerTransition()</code> on both threads is animated on both, in step with the worker's ticks, while a <code>Plastick.Transition</code> object passed in directly is left out, and the change is made instantly. If the two threads ever disagree about the state stack, the main thread stops the game and throws an error.
+     *
+     * Input from <code>Plastick.input</code> on the main thread (including gamepads) is forwarded to the worker; pass the <code>input</code> option to the main thread's constructor to listen to the page. The main thread has no ticks, so its own input is sampled once per frame instead: there, <code>Plastick.Input.wasPressedThisTick()</code> and <code>Plastick.Input.wasReleasedThisTick()</code> refer to the current frame. <code>Plastick.freeze()</code>, <code>Plastick.unfreeze()</code> and <code>Plastick.setTimeScale()</code> on the main thread are forwarded to the worker, and stopping the game on either thread stops it on both.
+     *
+     * ```
+     * // main.js
+     * var game = new Plastick(canvas, { input: true });
+     * game.registerState('level', levelState);
+     * game.startWorker(new Worker('sim.js'), 'level', { id: 3 });
+     *
+     * levelState.draw(function (game) {
+     *     var player = levelState.data.player,
+     *         before = levelState.previousData.player;
+     *     game.context.fillRect(game.lerp(before.x, player.x), game.lerp(before.y, player.y), 16, 16);
+     * });
+     *
+     * // sim.js
+     * importScripts('plastick.js', 'states.js');
+     * var game = new Plastick();
+     * game.registerState('level', levelState);
+     * game.serveWorker();
+     * ```
+     *
+     * @param {Object} worker The <code>Worker</code> that simulates the game.
+     * @param {Object|String} state The Plastick.State object to start with, or the name it was registered under with <code>Plastick.registerState()</code>. It must be registered under the same name in the worker.
+     * @param {Object} [params] Parameters to pass to the state's <code>init()</code> callback, on both threads.
+     * @return {Boolean} This returns <code>false</code> if no valid State is passed in, if the game was already running or if it has been destroyed, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.startWorker = function (worker, state, params) {
+
+        var handler;
+
+        state = this._resolveState(state);
+        if (this._destroyed || this.isRunning() || !(state instanceof Plastick.State)) return false;
+
+        handler = (function (e) {
+            var receive = workerMessages[e.data && e.data.type];
+            if (receive) receive(this, e.data);
+        }).bind(this);
+        worker.addEventListener('message', handler);
+        this._worker = {
+            target: worker,
+            handler: handler,
+            current: null,
+            received: 0
+        };
+
+        worker.postMessage({ type: 'start', state: this._stateKey(state), params: params || {} });
+        return this.start(state, params);
+    };
+
+    /**
+     * Simulates the game for a main thread that draws it, when called from a Web Worker (see <code>Plastick.startWorker()</code>). The game is started and stopped by the main thread, and should be created in headless mode. After every tick, a copy of the game's data is posted to the main thread.
+     *
+     * ```
+     * importScripts('plastick.js', 'states.js');
+     * var game = new Plastick();
+     * game.registerState('level', levelState);
+     * game.serveWorker();
+     * ```
+     *
+     * @param {Object} [scope] The worker's global scope, or another object with <code>postMessage()</code> and <code>addEventListener()</code> methods to talk to the main thread through. Defaults to <code>self</code>.
+     * @return {Boolean} This returns <code>false</code> if there is no worker scope, if the game is already serving a main thread or if it has been destroyed, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.serveWorker = function (scope) {
+
+        var handler;
+
+        if (scope === undefined && typeof self !== 'undefined') scope = self;
+        if (!scope || this._destroyed || this._port !== null) return false;
+
+        handler = (function (e) {
+            var receive = mainMessages[e.data && e.data.type];
+            if (receive) receive(this, e.data);
+        }).bind(this);
+        scope.addEventListener('message', handler);
+        this._port = {
+            target: scope,
+            handler: handler
+        };
+        return true;
+    };
+
+    /**
+     * Used to check if the game is running.
+     *
+     * ```
+     * if (game.isRunning()) { console.log('The game is running!'); }
+     * ```
+     *
+     * @return {Boolean} This returns <code>true</code> if <code>Plastick.start()</code> has been called and <code>Plastick.stop()</code> has not yet been called.
+     * @api public
+     */
+
+    Plastick.prototype.isRunning = function () {
+
+        return this._isRunning;
+    };
+
+    /**
+     * Freezes the whole game simulation: no ticks are simulated, game time stands still and the current state's event listeners and game event subscriptions are removed. Freezing is reference counted by reason, so that independent reasons can overlap safely; the game stays frozen until every <code>Plastick.freeze()</code> call has been matched by a <code>Plastick.unfreeze()</code> call with the same reason. Plastick itself freezes the game with the reason <code>"blur"</code> while the page is hidden (see <code>Plastick.freezeOnBlur</code>). The current state is not drawn while the game is frozen, unless <code>Plastick.drawWhileFrozen</code> is set.
+     *
+     * ```
+     * game.freeze('modal-open');
+     * showModal(function onClose() {
+     *     game.unfreeze('modal-open');
+     * });
+     * ```
+     *
+     * @param {String} [reason] Why the game is being frozen. Defaults to <code>"user"</code>.
+     * @return {Boolean} This returns <code>true</code> if the game was not frozen before this call, otherwise it returns <code>false</code>.
+     * @api public
+     */
+
+    Plastick.prototype.freeze = function (reason) {
+
+        var wasFrozen = this.isFrozen();
+
+        if (reason === undefined) reason = 'user';
+        this._freezeReasons[reason] = (this._freezeReasons[reason] || 0) + 1;
+        this._postToWorker({ type: 'freeze', reason: reason });
+
+        if (!wasFrozen) {
+            this._freezeStart = this.clock();
+            if (this._debugMode) {
+                this.debug('Game frozen (' + reason + ')');
+            }
+            this.input.reset();
+            this.audio._holdAll('freeze');
+            // emitted first, so that the current state's subscriptions hear it (as they do unfreeze)
+            this.emit('freeze', reason);
+            if (this.isRunning()) this._destroyEventListeners(this._listeningState());
+        }
+        return !wasFrozen;
+    };
+
+    /**
+     * Releases one freeze made with <code>Plastick.freeze()</code> for the same reason. Once no reasons are left, the game resumes exactly where it was frozen: the frozen time is left out of <code>Plastick.gameTime()</code>, so no ticks are skipped or simulated to catch up.
+     *
+     * ```
+     * ad.on('end', function () { game.unfreeze('ad-playing'); });
+     * ```
+     *
+     * @param {String} [reason] The reason that was passed to <code>Plastick.freeze()</code>. Defaults to <code>"user"</code>.
+     * @return {Boolean} This returns <code>true</code> if the game is no longer frozen after this call, and was frozen before it, otherwise it returns <code>false</code>.
+     * @api public
+     */
+
+    Plastick.prototype.unfreeze = function (reason) {
+
+        if (reason === undefined) reason = 'user';
+        if (!this._freezeReasons[reason]) return false;
+
+        this._freezeReasons[reason] -= 1;
+        if (!this._freezeReasons[reason]) delete this._freezeReasons[reason];
+        this._postToWorker({ type: 'unfreeze', reason: reason });
+        if (this.isFrozen()) return false;
+
+        this._freezeLength += Math.max(0, this.clock() - this._freezeStart);
+        this._freezeStart = null;
+        this.audio._releaseAll('freeze');
+        if (this.isRunning()) this._createEventListeners(this._listeningState());
+        if (this._debugMode) {
+            this.debug('Game unfrozen (' + reason + ')');
+        }
+        this.emit('unfreeze', reason);
+        return true;
+    };
+
+    /**
+     * Used to check if the game is frozen.
+     *
+     * ```
+     * if (game.isFrozen('blur')) { console.log('The page is hidden'); }
+     * ```
+     *
+     * @param {String} [reason] If provided, only checks whether the game is frozen for this reason.
+     * @return {Boolean} This returns <code>true</code> if the game is frozen (for <code>reason</code>, if provided).
+     * @api public
+     */
+
+    Plastick.prototype.isFrozen = function (reason) {
+
+        if (reason !== undefined) return !!this._freezeReasons[reason];
+        return Object.keys(this._freezeReasons).length > 0;
+    };
+
+    /**
+     * Returns the reasons the game is currently frozen for.
+     *
+     * @return {Array} The reasons passed to <code>Plastick.freeze()</code> that have not yet been released.
+     * @api public
+     */
+
+    Plastick.prototype.freezeReasons = function () {
+
+        return Object.keys(this._freezeReasons);
+    };
+
+    /**
+     * Returns performance measurements for the most recent frames (the last 120 frames). Times are measured in real milliseconds, with the <code>clock</code> constructor option if one was passed in (even in manual mode, where <code>Plastick.clock</code> stands still). Each timing is summarized as an object with its <code>average</code>, <code>min</code>, <code>max</code>, <code>p50</code>, <code>p95</code> and <code>p99</code>.
+     *
+     * ```
+     * var stats = game.stats();
+     * if (stats.update.p95 > stats.draw.p95) console.log('Simulation is the bottleneck');
+     * ```
+     *
+     * @return {Object} An object with the following properties: <ul><li><code>fps</code>: the real number of frames per second</li><li><code>tps</code>: the achieved number of ticks per second</li><li><code>frameTime</code>: the time between frames</li><li><code>ticksPerFrame</code>: the number of ticks simulated per frame</li><li><code>update</code> and <code>draw</code>: the time spent updating and drawing states, per frame</li><li><code>states</code>: the time spent in each state's <code>update()</code> (per tick) and <code>draw()</code> (per frame), by state name</li><li><code>choked</code>: the number of recent frames that hit <code>Plastick.TICK_CHOKE</code></li><li><code>frames</code>, <code>ticks</code> and <code>chokes</code>: running totals since the game started or the stats were reset</li></ul>
+     * @api public
+     */
+
+    Plastick.prototype.stats = function () {
+
+        return this._stats.summary();
+    };
+
+    /**
+     * Clears all performance measurements.
+     *
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.resetStats = function () {
+
+        this._stats.reset();
+    };
+
+    /**
+     * Shows or hides the stats overlay. The overlay is drawn into <code>Plastick.context</code> after the current state has been drawn, and shows the frame rate, tick rate and a graph of the time spent updating (blue) and drawing (green) in each recent frame. Frames that hit <code>Plastick.TICK_CHOKE</code> are marked in red. The overlay is never drawn in headless mode.
+     *
+     * ```
+     * if (debugBuild) game.showStats(true);
+     * ```
+     *
+     * @param {Boolean} [show] True to show the overlay, false to hide it. Defaults to true.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.showStats = function (show) {
+
+        this._stats.overlay = show === undefined ? true : !!show;
+    };
+
+    /**
+     * This will pause the current game state and start simulation of a new game state on the next game tick by doing the following: <ul><li>Calling the current state's <code>pause()</code> method and destroying its event listeners</li><li>Pushing the passed State onto the state stack, making it the current state</li><li>Calling the new state's <code>init()</code> method and creating its event listeners</li></ul>
+     * If this is called during a game tick or a canvas frame (from an <code>update()</code>, <code>draw()</code> or other state callback), the change is queued and applied once the tick or frame has finished, so the rest of the callback still runs against the current state. Queued changes are applied in the order they were requested.
+     *
+     * If a <code>Plastick.Transition</code> is passed in, the new state's <code>init()</code> method is called immediately, but the current state is not paused (and keeps its event listeners) until the transition has finished.
+     *
+     * ```
+     * // pause the game
+     * if (pauseButtonPressed) {
+     *     game.pushState(pauseState, Plastick.Transition.fade(10));
+     * }
+     * ```
+     *
+     * @param {Object|String} state The <code>Plastick.State</code> object to switch simulation to, or the name it was registered under with <code>Plastick.registerState()</code>.
+     * @param {Object} [params] Parameters to pass to the new state's <code>init()</code> callback.
+     * @param {Object|String} [transition] A <code>Plastick.Transition</code> to animate the change with, or the name of a transition registered with <code>Plastick.registerTransition()</code>.
+     * @return {Boolean} This returns <code>false</code> if no valid <code>Plastick.State</code> is passed in, otherwise it returns <code>true</code>.
+     */
+
+    Plastick.prototype.pushState = function (state, params, transition) {
+
+        if (params instanceof Plastick.Transition || typeof params === 'string') {
+            transition = params;
+            params = undefined;
+        }
+        state = this._resolveState(state);
+        this._checkTransition(transition);
+
+        this._requestStateChange('_pushState', [state, params, transition]);
+        return state instanceof Plastick.State;
+    };
+
+    /**
+     * This will end the current game state and resume simulation of the previous game state on the next game tick by doing the following:<ul><li>Calling the current state's <code>cleanup()</code> method and destroying its event listeners</li><li>Popping the current state off the state stack, making the prior state the current state</li><li>Calling the prior state's <code>resume()</code> method and creating its event listeners</li></ul>
+     * If this is called during a game tick or a canvas frame (from an <code>update()</code>, <code>draw()</code> or other state callback), the change is queued and applied once the tick or frame has finished, so the rest of the callback still runs against the current state. Queued changes are applied in the order they were requested.
+     *
+     * If calling this method empties the state stack, <code>Plastick.stop()</code> will be invoked.
+     *
+     * If a <code>Plastick.Transition</code> is passed in, the prior state's <code>resume()</code> method is called immediately, but the current state is not cleaned up (and keeps its event listeners) until the transition has finished. The transition is ignored if the state stack is emptied.
+     *
+     * ```
+     * // unpause the game
+     * if (pauseButtonPressed) {
+     *     game.popState();
+     * }
+     * ```
+     *
+     * @param {Object} [params] Parameters to pass to the prior state's <code>resume()</code> callback.
+     * @param {Object|String} [transition] A <code>Plastick.Transition</code> to animate the change with, or the name of a transition registered with <code>Plastick.registerTransition()</code>.
+     * @return {Boolean} This returns <code>false</code> if there is no <code>Plastick.State</code> to pop off the state stack, otherwise this returns <code>true</code>. For a queued change, or one sent to the worker from the main thread in split mode (see <code>Plastick.startWorker()</code>), this reflects the state stack at the time of the call.
+     * @api public
+     */
+
+    Plastick.prototype.popState = function (params, transition) {
+
+        var hasState = this.states.length > 0;
+
+        if (params instanceof Plastick.Transition || typeof params === 'string') {
+            transition = params;
+            params = undefined;
+        }
+        this._checkTransition(transition);
+
+        this._requestStateChange('_popState', [params, transition]);
+        return hasState;
+    };
+
+    /**
+     * This will redirect simulation from the current game state to a new game state on the next game tick by doing the following:<ul><li>Calling the current state's <code>cleanup()</code> method and destroying its event listeners</li><li>Popping the current state off the state stack</li><li>Pushing the passed State onto the state stack, making it the current state</li><li>Calling the new state's <code>init()</code> method and creating its event listeners</li></ul>
+     * If this is called during a game tick or a canvas frame (from an <code>update()</code>, <code>draw()</code> or other state callback), the change is queued and applied once the tick or frame has finished, so the rest of the callback still runs against the current state. Queued changes are applied in the order they were requested.
+     *
+     * If calling this method empties the state stack, <code>Plastick.stop()</code> will be invoked. This may happen if the passed state is invalid and cannot be pushed onto the state stack.
+     *
+     * If a <code>Plastick.Transition</code> is passed in, the new state's <code>init()</code> method is called immediately, but the current state is not cleaned up (and keeps its event listeners) until the transition has finished.
+     *
+     * ```
+     * // enter the main menu from the intro splash screen
+     * if (pressedAnyKey) {
+     *     game.changeState('menu', { selected: 0 }, Plastick.Transition.wipe(20, 'right'));
+     * }
+     * ```
+     *
+     * @param {Object|String} state The <code>Plastick.State</code> object to switch simulation to, or the name it was registered under with <code>Plastick.registerState()</code>.
+     * @param {Object} [params] Parameters to pass to the new state's <code>init()</code> callback.
+     * @param {Object|String} [transition] A <code>Plastick.Transition</code> to animate the change with, or the name of a transition registered with <code>Plastick.registerTransition()</code>.
+     * @return {Boolean} This returns <code>false</code> if there is no <code>Plastick.State</code> to pop off the state stack or if no valid <code>Plastick.State</code> is passed in, otherwise this returns <code>true</code>. For a queued change, or one sent to the worker from the main thread in split mode (see <code>Plastick.startWorker()</code>), this reflects the state stack at the time of the call.
+     * @api public
+     */
+
+    Plastick.prototype.changeState = function (state, params, transition) {
+
+        var hasState = this.states.length > 0;
+
+        if (params instanceof Plastick.Transition || typeof params === 'string') {
+            transition = params;
+            params = undefined;
+        }
+        state = this._resolveState(state);
+        this._checkTransition(transition);
+
+        this._requestStateChange('_changeState', [state, params, transition]);
+        return hasState && state instanceof Plastick.State;
+    };
+
+    /**
+     * Registers a state under a name, so that it can be passed to <code>Plastick.start()</code>, <code>Plastick.pushState()</code> and <code>Plastick.changeState()</code> by name. If the state has no name of its own, it is given this one.
+     *
+     * ```
+     * game.registerState('level', levelState);
+     * game.changeState('level', { id: 3 });
+     * ```
+     *
+     * @param {String} name The name to register the state under.
+     * @param {Object} state The <code>Plastick.State</code> object to register.
+     * @return {Boolean} This returns <code>false</code> if no valid <code>Plastick.State</code> is passed in, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.registerState = function (name, state) {
+
+        if (!(state instanceof Plastick.State)) return false;
+
+        if (state.name === undefined) state.name = name;
+        this.registry[name] = state;
+        return true;
+    };
+
+    /**
+     * Returns a state that was registered with <code>Plastick.registerState()</code>.
+     *
+     * @param {String} name The name the state was registered under.
+     * @return {Object} The registered <code>Plastick.State</code>, or <code>undefined</code> if there is none.
+     * @api public
+     */
+
+    Plastick.prototype.getState = function (name) {
+
+        return this.registry.hasOwnProperty(name) ? this.registry[name] : undefined;
+    };
+
+    /**
+     * Registers a function that creates a transition under a name, so that the transition can be passed to <code>Plastick.pushState()</code>, <code>Plastick.popState()</code> and <code>Plastick.changeState()</code> by name. A new transition is created for every change that uses it. In split mode (see <code>Plastick.startWorker()</code>), only transitions passed by name are animated, and they must be registered under the same name on both threads.
+     *
+     * ```
+     * game.registerTransition('fade', function () { return Plastick.Transition.fade(20); });
+     * game.pushState('pause', 'fade');
+     * ```
+     *
+     * @param {String} name The name to register the factory under.
+     * @param {Function} factory Called with the Plastick object, and returns a new <code>Plastick.Transition</code>.
+     * @return {Boolean} This returns <code>false</code> if the factory is not a function, otherwise it returns <code>true</code>. Passing a name that was never registered to a state change throws an error.
+     * @api public
+     */
+
+    Plastick.prototype.registerTransition = function (name, factory) {
+
+        if (typeof factory !== 'function') return false;
+
+        this.transitionRegistry[name] = factory;
+        return true;
+    };
+
+    /**
+     * Creates a transition with a factory that was registered with <code>Plastick.registerTransition()</code>.
+     *
+     * @param {String} name The name the factory was registered under.
+     * @return {Object} A new <code>Plastick.Transition</code>, or <code>undefined</code> if no factory is registered under the name.
+     * @api public
+     */
+
+    Plastick.prototype.getTransition = function (name) {
+
+        var transition;
+
+        if (!this.transitionRegistry.hasOwnProperty(name)) return undefined;
+        transition = this.transitionRegistry[name](this);
+        if (!(transition instanceof Plastick.Transition)) throw new Error('Transition factory did not return a transition: ' + name);
+        return transition;
+    };
+
+    /**
+     * Returns the names of the states on the state stack, from the bottom to the top. This is useful when debugging, or for building deep links into a game.
+     *
+     * ```
+     * // displays ['level', 'pause']
+     * console.log(game.stateNames());
+     * ```
+     *
+     * @return {Array} The names of the states on the state stack.
+     * @api public
+     */
+
+    Plastick.prototype.stateNames = function () {
+
+        return this.states.map(function (state) {
+            return state.name;
+        });
+    };
+
+    /**
+     * This returns the State currently being simulated.
+     *
+     * @return {Object} The current game state, as a <code>Plastick.State</code> object.
+     * @api public
+     */
+
+    Plastick.prototype.currentState = function () {
+
+        return this.states[this.states.length - 1];
+    };
+
+    /**
+     * This returns the number of milliseconds that have passed in the game. If a time argument is passed in (milliseconds since the page session started), this instead converts that time to the equivalent game time and returns the result. Note that game time may be suspended whenever the containing browser tab is hidden, and that it passes faster or slower than real time when a time scale is set with <code>Plastick.setTimeScale()</code>.
+     *
+     * @param {Integer} [time] A timestamp (time since beginning of session) to convert to game time.
+     * @return {Float} The number of milliseconds that have passed between now (or <code>time</code>) and the time <code>Plastick.start()</code> was called, not including "frozen" time (blurred focus).
+     */
+
+    Plastick.prototype.gameTime = function (time) {
+
+        return this._timeBase + (this._realTime(time) - this._realBase) * this.timeScale * this._lagScale;
+    };
+
+    /**
+     * Changes how fast game time passes relative to real time, for slow motion, fast forward or "bullet time" effects. The length of a tick stays the same, so a time scale of 0.5 simulates half as many ticks per second, and a time scale of 0 stops simulation entirely (although the current state is still drawn). <code>Plastick.gameTime()</code>, <code>Plastick.tickTime</code> and <code>Plastick.tickAlpha</code> continue smoothly from the moment of the change.
+     *
+     * ```
+     * // bullet time
+     * game.setTimeScale(0.25);
+     * game.after(30, function () { game.setTimeScale(1); });
+     * ```
+     *
+     * @param {Float} [factor] The new time scale: a finite number, 0 or above. Defaults to 1 (real time).
+     * @return {Float} The time scale that was set.
+     * @api public
+     */
+
+    Plastick.prototype.setTimeScale = function (factor) {
+
+        if (factor === undefined) factor = 1;
+        if (typeof factor !== 'number' || !isFinite(factor) || factor < 0) {
+            throw new Error('Invalid time scale: ' + factor);
+        }
+
+        this._timeBase = this.gameTime();
+        this._realBase = this._realTime();
+        this.timeScale = factor;
+        this.audio._rescale();
+        this._postToWorker({ type: 'timescale', factor: factor });
+        if (this._debugMode) {
+            this.debug('Time scale set to ' + factor);
+        }
+        this.emit('timescale', factor);
+        return factor;
+    };
+
+    /**
+     * Simulates an exact number of game ticks immediately, without waiting for the next frame, and then draws the current state once. Game time is moved forward to the end of the last requested tick, so <code>Plastick.tickAlpha</code> is 1 during that draw. Game time is never moved back: if the clock is running (without the <code>manual</code> option) and game time is already past that point, the ticks that are due are simulated instead. This is intended for tests and tools, usually together with the <code>manual</code> constructor option.
+     *
+     * ```
+     * var game = new Plastick(null, { manual: true });
+     * game.start(levelState);
+     * game.step(30); // simulate one second at 30 TPS
+     * ```
+     *
+     * @param {Integer} [ticks] The number of ticks to simulate. Defaults to 1. Fractions are rounded down, and anything less than 1 is ignored.
+     * @return {Integer} The number of ticks that were simulated. This may be fewer than requested if the game was stopped or frozen along the way, or more if the clock had already moved past the requested ticks, and is 0 if the game is frozen.
+     * @api public
+     */
+
+    Plastick.prototype.step = function (ticks) {
+
+        if (ticks === undefined) ticks = 1;
+        ticks = ticks >= 1 ? Math.floor(ticks) : 0;
+        if (!ticks || !this.isRunning() || this.isFrozen()) return 0;
+
+        // never moved back, so that real time that has already passed is simulated too
+        this._timeBase += Math.max(0, this._tickTimeAt(this.currentTick + ticks) - this.gameTime());
+        return this._gameLoop(Infinity);
+    };
+
+    /**
+     * Moves game time forward by a number of milliseconds (regardless of the time scale) and immediately runs the game loop, simulating every tick that has become due and then drawing the current state once with the resulting <code>Plastick.tickAlpha</code>. Unlike a normal frame, the simulation is not limited by <code>Plastick.TICK_CHOKE</code>.
+     *
+     * ```
+     * game.advanceTime(50); // at 30 TPS, simulates 2 ticks and draws with a tickAlpha of 0.5
+     * ```
+     *
+     * @param {Float} ms The number of milliseconds of game time to simulate. Anything less than 0 counts as 0, since game time can not move backwards.
+     * @return {Integer} The number of ticks that were simulated. Nothing is simulated while the game is frozen.
+     * @api public
+     */
+
+    Plastick.prototype.advanceTime = function (ms) {
+
+        ms = ms > 0 ? ms : 0;
+        if (!this.isRunning() || this.isFrozen()) return 0;
+
+        this._timeBase += ms;
+        return this._gameLoop(Infinity);
+    };
+
+    /**
+     * Performs a linear interpolation between two numeric values using <code>Plastick.tickAlpha</code>.
+     *
+     * ```
+     * var xPos = game.lerp(sprite.prevPosition.x, sprite.currPosition.x);
+     * ```
+     *
+     * @param {Float} before The "before" value.
+     * @param {Float} after The "after" value.
+     * @param {Float} [alpha] If provided, the values will be interpolated using this, instead of <code>Plastick.tickAlpha</code>. This should be a value between 0.0 and 1.0 (although other
+     values will be processed respectively if you need to do so).
+     * @return {Float} The result of the linear interpolation.
+     */
+
+    Plastick.prototype.lerp = function (before, after, alpha) {
+
+        if (alpha === undefined) {
+            alpha = this.tickAlpha;
+        }
+        return lerp(before, after, alpha);
+    };
+
+    /**
+     * Marks properties of an object as interpolated. Plastick remembers their values before every game tick, so that <code>Plastick.interpolated()</code> can blend the previous and current values with <code>Plastick.tickAlpha</code> while drawing, without having to copy "previous" values by hand in every update.
+     *
+     * Each property is interpolated according to its kind: <code>'number'</code> (the default), <code>'angle'</code> (in radians, taking the shortest way around the circle), <code>'vector'</code> (an array or an object of numbers, such as <code>{ x: 0, y: 0 }</code>), or <code>'color'</code> (a <code>#rgb</code>, <code>#rrggbb</code>, <code>rgb()</code> or <code>rgba()</code> string). More kinds can be added to <code>Plastick.interpolators</code>; naming any other kind throws an error.
+     *
+     * ```
+     * game.interpolate(ship, { x: 'number', y: 'number', heading: 'angle', tint: 'color' }, levelState);
+     * game.interpolate(camera, ['zoom']);
+     * ```
+     *
+     * @param {Object} target The object whose properties will be interpolated.
+     * @param {Object|Array} props The kind of each property, by name, or a list of numeric property names.
+     * @param {Object} [state] The <code>Plastick.State</code> that owns the object. When the state is cleaned up, the object stops being interpolated.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.interpolate = function (target, props, state) {
+
+        var entry = this._interpolationEntry(target),
+            kinds = {},
+            key;
+
+        if (Array.isArray(props)) {
+            props.forEach(function (prop) { kinds[prop] = 'number'; });
+        } else {
+            kinds = props;
+        }
+        for (key in kinds) {
+            if (kinds.hasOwnProperty(key) && !Plastick.interpolators.hasOwnProperty(kinds[key])) {
+                throw new Error('Unknown interpolator: ' + kinds[key]);
+            }
+        }
+        if (!entry) {
+            entry = { target: target, kinds: {}, previous: {}, state: state || null };
+            this._interpolated.push(entry);
+        }
+        for (key in kinds) {
+            if (kinds.hasOwnProperty(key)) {
+                entry.kinds[key] = kinds[key];
+                entry.previous[key] = copyValue(target[key]);
+            }
+        }
+    };
+
+    /**
+     * Stops interpolating an object, or some of its properties.
+     *
+     * @param {Object} target The object passed to <code>Plastick.interpolate()</code>.
+     * @param {Array} [props] The properties to stop interpolating. If omitted, all of them are.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.stopInterpolating = function (target, props) {
+
+        var entry = this._interpolationEntry(target);
+
+        if (!entry) return;
+        if (props === undefined) {
+            this._interpolated.splice(this._interpolated.indexOf(entry), 1);
+            return;
+        }
+        props.forEach(function (prop) {
+            delete entry.kinds[prop];
+            delete entry.previous[prop];
+        });
+    };
+
+    /**
+     * Returns the value of an interpolated property for drawing, blended between its values before and after the last tick with <code>Plastick.tickAlpha</code>. If the property is not being interpolated, or it had no value before the last tick, its current value is returned. If no property is named, an object holding every interpolated property of the target is returned instead.
+     *
+     * ```
+     * levelState.draw(function (game) {
+     *     var s = game.interpolated(ship);
+     *     game.context.fillStyle = s.tint;
+     *     game.context.fillRect(s.x, s.y, 16, 16);
+     * });
+     * ```
+     *
+     * @param {Object} target The object passed to <code>Plastick.interpolate()</code>.
+     * @param {String} [prop] The name of the property.
+     * @return {Object} The interpolated value, or an object of interpolated values.
+     * @api public
+     */
+
+    Plastick.prototype.interpolated = function (target, prop) {
+
+        var entry = this._interpolationEntry(target),
+            values = {},
+            key;
+
+        if (prop !== undefined) {
+            if (!entry || !entry.kinds.hasOwnProperty(prop)) return target[prop];
+            // a property that had no value before the last tick has nothing to blend from
+            if (entry.previous[prop] === undefined || entry.previous[prop] === null) return target[prop];
+            return Plastick.interpolators[entry.kinds[prop]](entry.previous[prop], target[prop], this.tickAlpha);
+        }
+        if (entry) {
+            for (key in entry.kinds) {
+                if (entry.kinds.hasOwnProperty(key)) values[key] = this.interpolated(target, key);
+            }
+        }
+        return values;
+    };
+
+    /**
+     * Returns the width of the canvas, independent of the HDPI mode. When using a Facade object, this should be equivalent to <code>Facade.width()</code>.
+     *
+     * ```
+     * var stage = document.querySelector('canvas');
+     * stage.setAttribute('width', 720);
+     * stage.setAttribute('height', 480);
+     * var game = new Plastick(stage);
+     *
+     * // displays 480
+     * console.log(game.height());
+     *
+     * game.setHDPIMode(2);
+     * // still displays 480
+     * console.log(game.height());
+     *
+     * ```
+     *
+     * @return {Float} The virtual width of the canvas.
+     */
+
+    Plastick.prototype.width = function () {
+
+        if (this._sizing) return this._sizing.width;
+        return this.renderer.width(this.HDPIMode);
+    };
+
+    /**
+     * Returns the height of the canvas, independent of the HDPI mode. When using a Facade object, this should be equivalent to <code>Facade.height()</code>.
+     * @return {Float} The virtual height of the canvas.
+     */
+
+    Plastick.prototype.height = function () {
+
+        if (this._sizing) return this._sizing.height;
+        return this.renderer.height(this.HDPIMode);
+    };
+
+    /**
+     * Translates the position of a mouse event, touch event or touch point from page coordinates into the game's virtual canvas coordinates (the space measured by <code>Plastick.width()</code> and <code>Plastick.height()</code>). This accounts for the HDPI mode, and for any CSS that moves or stretches the canvas. For touch events, the first changed touch point is used. In headless mode, the client coordinates are returned as they are.
+     *
+     * ```
+     * game.setHDPIMode(2);
+     * levelState.registerListener(game.canvas, 'click', function (e) {
+     *     var point = game.toCanvasPoint(e);
+     *     player.moveTo(point.x, point.y);
+     * });
+     * ```
+     *
+     * @param {Object} e The mouse event, touch event or touch point.
+     * @return {Object} An object with <code>x</code> and <code>y</code> properties, in canvas coordinates.
+     * @api public
+     */
+
+    Plastick.prototype.toCanvasPoint = function (e) {
+
+        var point = e,
+            rect;
+
+        if (e.changedTouches && e.changedTouches.length) point = e.changedTouches[0];
+        else if (e.touches && e.touches.length) point = e.touches[0];
+
+        if (!this.canvas || !this.canvas.getBoundingClientRect) {
+            return { x: point.clientX, y: point.clientY };
+        }
+        rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (point.clientX - rect.left) * this.width() / rect.width,
+            y: (point.clientY - rect.top) * this.height() / rect.height
+        };
+    };
+
+    /**
+     * Wraps a pointer event callback so that it also receives the event's position in canvas coordinates (see <code>Plastick.toCanvasPoint()</code>) as its second argument.
+     *
+     * ```
+     * menuState.registerListener(game.canvas, 'mousedown', game.pointerHandler(function (e, point) {
+     *     menu.select(point.x, point.y);
+     * }));
+     * ```
+     *
+     * @param {Function} callback The callback function, which is called with the event and the translated point.
+     * @return {Function} The wrapped callback, to register as an event listener.
+     * @api public
+     */
+
+    Plastick.prototype.pointerHandler = function (callback) {
+
+        var game = this;
+
+        return function (e) {
+            return callback.call(this, e, game.toCanvasPoint(e));
+        };
+    };
+
+    /**
+     * Toggles "debug mode". When debug mode is active, 1) calls to <code>Plastick.debug()</code> will output text to the console, 2) a global event is registered to the 'SHIFT + SPACE' key combo to call <code>Plastick.stop()</code>, and 3) state changes will be displayed with automatic <code>console.info()</code> calls.
+     *
+     * ```
+     * game.setDebug(true);
+     * ```
+     *
+     */
+
+    Plastick.prototype.setDebug = function (toggle) {
+
+        if (toggle === true && this._debugMode === false) {
+            this._debugMode = true;
+            if (hasDocument) document.addEventListener('keydown', this._debugStopGameEvent);
+        } else if (toggle === false && this._debugMode === true) {
+            this._debugMode = false;
+            if (hasDocument) document.removeEventListener('keydown', this._debugStopGameEvent);
+        }
+    };
+
+    /**
+     * Outputs a custom debug message with a Plastick timestamp, using <code>console.info()</code>. The message will be suppressed unless debug mode is enabled with <code>Plastick.setDebug(true)</code>.
+     *
+     * ```
+     * game.debug('Test message');
+     * ```
+     *
+     * @param {String} info Text to be output to the console.
+     */
+
+    Plastick.prototype.debug = function (info) {
+
+        if (this._debugMode) console.info('Plastick (' + this.currentTick + ' @ ' +
+            (+this.gameTime() / 1000).toFixed(3) + 's): ' + info);
+    };
+
+    /**
+     * Subscribes a callback to a game event. Game events can be emitted by the user with <code>Plastick.emit()</code>, and Plastick emits its own lifecycle events: <code>start</code> and <code>stop</code>; <code>statepush</code> and <code>statechange</code> (with the new state and the old state); <code>statepop</code> (with the popped state and the resumed state, if any); <code>freeze</code> and <code>unfreeze</code> (with the reason) when the game is frozen or unfrozen, including when the page is hidden or shown; <code>timescale</code> (with the new time scale) from <code>Plastick.setTimeScale()</code>; <code>lag</code> (with the number of ticks dropped and the number of ticks that were left over) when a frame hits <code>Plastick.TICK_CHOKE</code>; <code>restore</code> after <code>Plastick.restore()</code>; <code>resize</code> (with the new width and height) when the canvas is fitted by <code>Plastick.setSizeMode()</code>; and <code>destroy</code> from <code>Plastick.destroy()</code>. To subscribe only while a particular state is current, use <code>Plastick.State.subscribe()</code> instead.
+     *
+     * ```
+     * game.on('score', function (points) {
+     *     this.data.score += points;
+     * });
+     * ```
+     *
+     * @param {String} type The event to subscribe to.
+     * @param {Function} callback The callback function, which is called with the Plastick object as <code>this</code> and the arguments passed to <code>Plastick.emit()</code>.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.on = function (type, callback) {
+
+        if (!this._handlers.hasOwnProperty(type)) this._handlers[type] = [];
+        this._handlers[type].push(callback);
+    };
+
+    /**
+     * Unsubscribes a callback from a game event. If the callback parameter is omitted, all callbacks subscribed to the event are unsubscribed.
+     *
+     * ```
+     * game.off('score');
+     * ```
+     *
+     * @param {String} type The event to unsubscribe from.
+     * @param {Function} [callback] The specific callback function to unsubscribe.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.off = function (type, callback) {
+
+        if (!this._handlers.hasOwnProperty(type)) return;
+        this._handlers[type] = this._handlers[type].filter(function (handler) {
+            return callback !== undefined && handler !== callback;
+        });
+    };
+
+    /**
+     * Emits a game event, calling the matching event hook of every plugin installed with <code>Plastick.use()</code> and then every callback subscribed to it. Any extra arguments are passed along to the callbacks.
+     *
+     * ```
+     * game.emit('score', 100);
+     * ```
+     *
+     * @param {String} type The event to emit.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.emit = function (type) {
+
+        var args = Array.prototype.slice.call(arguments, 1);
+
+        Plastick.plugins.forEach(function (plugin) {
+            if (plugin.events && typeof plugin.events[type] === 'function') {
+                plugin.events[type].apply(plugin, [this].concat(args));
+            }
+        }, this);
+        if (!this._handlers.hasOwnProperty(type)) return;
+        this._handlers[type].slice().forEach(function (handler) {
+            handler.apply(this, args);
+        }, this);
+    };
+
+    /**
+     * Calls a function once, after a number of game ticks have been simulated. The timer fires inside the game loop, so it is unaffected by frozen time and by <code>Plastick.TICK_CHOKE</code>.
+     *
+     * If a state is passed in, the timer belongs to that state: it only counts down on ticks where the state is updated (so it stops while the state is paused), and it is cancelled when the state is cleaned up. Otherwise, it counts down on every tick until it fires or the game is stopped.
+     *
+     * ```
+     * game.after(90, function () {
+     *     this.data.invincible = false;
+     * }, playerState);
+     * ```
+     *
+     * @param {Integer} ticks The number of ticks to wait.
+     * @param {Function} callback The function to call. It is called with the Plastick object as an argument, and with the owning state (or the Plastick object) as <code>this</code>.
+     * @param {Object} [state] The <code>Plastick.State</code> that owns the timer.
+     * @return {Object} The new timer, which can be passed to <code>Plastick.cancelTimer()</code>.
+     * @api public
+     */
+
+    Plastick.prototype.after = function (ticks, callback, state) {
+
+        return this._addTimer(ticks, true, false, callback, state);
+    };
+
+    /**
+     * Calls a function repeatedly, each time a number of game ticks have been simulated. See <code>Plastick.after()</code>.
+     *
+     * ```
+     * game.every(30, spawnEnemy, levelState);
+     * ```
+     *
+     * @param {Integer} ticks The number of ticks between calls.
+     * @param {Function} callback The function to call.
+     * @param {Object} [state] The <code>Plastick.State</code> that owns the timer.
+     * @return {Object} The new timer, which can be passed to <code>Plastick.cancelTimer()</code>.
+     * @api public
+     */
+
+    Plastick.prototype.every = function (ticks, callback, state) {
+
+        return this._addTimer(ticks, true, true, callback, state);
+    };
+
+    /**
+     * Calls a function once, after an amount of simulated game time has passed. The timer fires on the first tick that reaches the requested time. See <code>Plastick.after()</code>.
+     *
+     * ```
+     * game.afterTime(1500, showHint, tutorialState);
+     * ```
+     *
+     * @param {Float} ms The number of milliseconds of game time to wait.
+     * @param {Function} callback The function to call.
+     * @param {Object} [state] The <code>Plastick.State</code> that owns the timer.
+     * @return {Object} The new timer, which can be passed to <code>Plastick.cancelTimer()</code>.
+     * @api public
+     */
+
+    Plastick.prototype.afterTime = function (ms, callback, state) {
+
+        return this._addTimer(ms, false, false, callback, state);
+    };
+
+    /**
+     * Calls a function repeatedly, each time an amount of simulated game time has passed. A timer fires at most once per tick. See <code>Plastick.after()</code>.
+     *
+     * ```
+     * game.everyTime(1000, updateClock, hudState);
+     * ```
+     *
+     * @param {Float} ms The number of milliseconds of game time between calls.
+     * @param {Function} callback The function to call.
+     * @param {Object} [state] The <code>Plastick.State</code> that owns the timer.
+     * @return {Object} The new timer, which can be passed to <code>Plastick.cancelTimer()</code>.
+     * @api public
+     */
+
+    Plastick.prototype.everyTime = function (ms, callback, state) {
+
+        return this._addTimer(ms, false, true, callback, state);
+    };
+
+    /**
+     * Cancels a timer created with <code>Plastick.after()</code>, <code>Plastick.every()</code>, <code>Plastick.afterTime()</code> or <code>Plastick.everyTime()</code>.
+     *
+     * @param {Object} timer The timer to cancel.
+     * @return {Boolean} This returns <code>false</code> if the timer had already fired or been cancelled, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.cancelTimer = function (timer) {
+
+        var index = this._timers.indexOf(timer);
+
+        if (index < 0) return false;
+        this._timers.splice(index, 1);
+        return true;
+    };
+
+    /**
+     * Cancels every timer owned by a state, or every timer if no state is passed in.
+     *
+     * @param {Object} [state] The <code>Plastick.State</code> whose timers should be cancelled.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.cancelTimers = function (state) {
+
+        this._timers = this._timers.filter(function (timer) {
+            return state !== undefined && timer.state !== state;
+        });
+    };
+
+    /**
+     * Animates numeric properties of an object towards new values over a number of game ticks, and returns the new <code>Plastick.Tween</code>. The properties are updated once per tick inside the game loop; use <code>Plastick.Tween.value()</code> while drawing to get values that are smoothly interpolated with <code>Plastick.tickAlpha</code>.
+     *
+     * Options: <ul><li><code>ticks</code>: the length of the tween (defaults to 1)</li><li><code>easing</code>: the name of a function in <code>Plastick.easing</code>, or a custom easing function (defaults to <code>'linear'</code>); an unknown name throws an error straight away</li><li><code>repeat</code>: the number of extra times to play the tween (<code>Infinity</code> to loop forever)</li><li><code>yoyo</code>: if true, every repeat plays in the opposite direction</li><li><code>state</code>: the <code>Plastick.State</code> that owns the tween; like a timer, it only advances while the state is updated, and it is cancelled when the state is cleaned up</li><li><code>onComplete</code>: a function to call when the tween finishes</li></ul>
+     *
+     * ```
+     * game.tween(ship, { x: 100, y: 40 }, { ticks: 30, easing: 'easeOutQuad', state: levelState })
+     *     .chain(ship, { y: 0 }, { ticks: 15 })
+     *     .onComplete(function () { ship.docked = true; });
+     * ```
+     *
+     * @param {Object} target The object whose properties will be animated.
+     * @param {Object} props The final values of the properties to animate.
+     * @param {Object} [options] Settings for the tween.
+     * @return {Object} The new <code>Plastick.Tween</code>, which can be passed to <code>Plastick.cancelTween()</code>.
+     * @api public
+     */
+
+    Plastick.prototype.tween = function (target, props, options) {
+
+        var tween = new Plastick.Tween(this, target, props, options);
+
+        this._startTween(tween);
+        return tween;
+    };
+
+    /**
+     * Cancels a tween, leaving its properties at their current values. Tweens chained to it will not be started.
+     *
+     * @param {Object} tween The <code>Plastick.Tween</code> to cancel.
+     * @return {Boolean} This returns <code>false</code> if the tween had already finished or been cancelled, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.cancelTween = function (tween) {
+
+        var index = this._tweens.indexOf(tween);
+
+        if (index < 0) return false;
+        this._tweens.splice(index, 1);
+        return true;
+    };
+
+    /**
+     * Cancels every tween owned by a state, or every tween if no state is passed in.
+     *
+     * @param {Object} [state] The <code>Plastick.State</code> whose tweens should be cancelled.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.cancelTweens = function (state) {
+
+        this._tweens = this._tweens.filter(function (tween) {
+            return state !== undefined && tween.state !== state;
+        });
+    };
+
+    /**
+     * Captures the state of the game in a plain object that can be serialized to JSON: <code>Plastick.data</code>, the key each state on the state stack was registered under with <code>Plastick.registerState()</code> (or its name, if it is not registered) and its <code>data</code>, in order, <code>Plastick.currentTick</code> and the game time. Data is deep-copied, so it must be JSON-compatible. Timers, tweens and any transition in progress are not included.
+     *
+     * ```
+     * var save = JSON.stringify(game.snapshot());
+     * ```
+     *
+     * @return {Object} The snapshot.
+     * @api public
+     */
+
+    Plastick.prototype.snapshot = function () {
+
+        return {
+            data: copyData(this.data),
+            states: this.states.map(function (state) {
+                return {
+                    name: this._stateKey(state),
+                    data: copyData(state.data)
+                };
+            }, this),
+            currentTick: this.currentTick,
+            gameTime: this.gameTime()
+        };
+    };
+
+    /**
+     * Restores the game from a snapshot made with <code>Plastick.snapshot()</code>. The state stack is rebuilt from states registered with <code>Plastick.registerState()</code>, and their <code>data</code> is replaced with the saved copies. States that are no longer on the stack are cleaned up. No <code>init()</code> methods are called; instead, each restored state that was not already paused (including the current state, if it stays on the stack) has its <code>pause()</code> method called, and then the restored current state's <code>resume()</code> method is called with <code>{ restored: true }</code> as its parameters. If the game is not running, it is started, and a <code>start</code> event is emitted before the <code>restore</code> event. Called during a tick, the restore is queued along with any other state changes, and applied in turn. On the main thread of a game simulated in a worker, the snapshot is sent to the worker instead, and restored here once the worker has restored it.
+     *
+     * ```
+     * game.registerState('level', levelState);
+     * game.registerState('pause', pauseState);
+     * game.restore(JSON.parse(save));
+     * ```
+     *
+     * @param {Object} snapshot The snapshot to restore.
+     * @return {Boolean} This returns <code>false</code> if the snapshot is invalid (for example, if its <code>data</code> is not an object, or its <code>currentTick</code> or <code>gameTime</code> is not a finite number) or names a state that is not registered, otherwise it returns <code>true</code>. An invalid snapshot leaves the game as it was.
+     * @api public
+     */
+
+    Plastick.prototype.restore = function (snapshot) {
+
+        var states = this._snapshotStates(snapshot);
+
+        if (states === null) return false;
+        if (this._worker !== null) {
+            this._postToWorker({ type: 'restore', snapshot: snapshot });
+            return true;
+        }
+
+        if (this._deferChanges) {
+            // queued with the other state changes, so that none of them are lost
+            this._stateChanges.push({ method: '_restore', args: [snapshot, states] });
+        } else this._restore(snapshot, states);
+        return true;
+    };
+
+    /**
+     * Checks a snapshot for <code>Plastick.restore()</code>, and looks up the registered states it names.
+     *
+     * @param {Object} snapshot The snapshot to restore.
+     * @return {Array} The states named by the snapshot, from the bottom of the stack to the top, or <code>null</code> if the snapshot is invalid or names a state that is not registered.
+     * @api private
+     */
+
+    Plastick.prototype._snapshotStates = function (snapshot) {
+
+        var states;
+
+        if (!validSnapshot(snapshot)) return null;
+        states = snapshot.states.map(function (entry) {
+            return this.getState(entry.name);
+        }, this);
+        return states.indexOf(undefined) >= 0 ? null : states;
+    };
+
+    /**
+     * Saves a snapshot of the game (see <code>Plastick.snapshot()</code>) to <code>Plastick.storage</code>.
+     *
+     * ```
+     * game.saveSnapshot('quicksave');
+     * ```
+     *
+     * @param {String} key The name to save the snapshot under.
+     * @return {Object} The snapshot that was saved.
+     * @api public
+     */
+
+    Plastick.prototype.saveSnapshot = function (key) {
+
+        var snapshot = this.snapshot();
+
+        this.storage.setItem(key, JSON.stringify(snapshot));
+        return snapshot;
+    };
+
+    /**
+     * Loads a snapshot from <code>Plastick.storage</code> and restores the game from it (see <code>Plastick.restore()</code>).
+     *
+     * ```
+     * if (!game.loadSnapshot('quicksave')) game.start('title');
+     * ```
+     *
+     * @param {String} key The name the snapshot was saved under.
+     * @return {Boolean} This returns <code>false</code> if there is no valid snapshot saved under the name, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.loadSnapshot = function (key) {
+
+        var saved = this.storage.getItem(key);
+
+        if (saved === null || saved === undefined) return false;
+        try {
+            saved = JSON.parse(saved);
+        } catch (e) {
+            return false;
+        }
+        return this.restore(saved);
+    };
+
+    /**
+     * Starts loading a set of assets (images, audio buffers, JSON data and fonts), and caches them in <code>Plastick.assets</code> as they arrive. Assets that are already cached under the same name are not loaded again. Each asset is described by a URL, from which its type is guessed, or by an object with a <code>url</code> and a <code>type</code> (one of the <code>Plastick.loaders</code>) along with any options that type accepts. A failed asset does not stop the others from loading; it is reported to <code>onError</code> callbacks and listed in <code>Plastick.Loader.failed</code>. To show a progress bar while loading, use <code>Plastick.State.loading()</code>.
+     *
+     * ```
+     * game.load({
+     *     hero: 'img/hero.png',
+     *     music: 'audio/theme.ogg',
+     *     level1: { url: 'levels/1', type: 'json' },
+     *     pixel: { url: 'fonts/pixel.woff2', family: 'Pixel' }
+     * }, {
+     *     onComplete: function (game, loader) {
+     *         if (!loader.failed.length) game.start('title');
+     *     }
+     * });
+     * ```
+     *
+     * @param {Object|Array} manifest The assets to load, as an object of asset descriptions by name, or as an array of asset descriptions that each have a <code>name</code>.
+     * @param {Object} [options] Callbacks to register with the new loader: <code>onProgress</code>, <code>onComplete</code> and <code>onError</code> (see <code>Plastick.Loader</code>).
+     * @return {Object} A new <code>Plastick.Loader</code> object, which tracks the progress of loading.
+     * @api public
+     */
+
+    Plastick.prototype.load = function (manifest, options) {
+
+        var loader = new Plastick.Loader(this, manifest);
+
+        options = options || {};
+        loader.onProgress(options.onProgress);
+        loader.onError(options.onError);
+        loader.onComplete(options.onComplete);
+        loader._start();
+        return loader;
+    };
+
+    /**
+     * Starts recording every event that reaches a state through <code>Plastick.State.registerListener()</code>, and all page input taken in by <code>Plastick.input</code> (see <code>Plastick.Input.attach()</code>). Each event is stamped with <code>Plastick.currentTick</code> and the name of the state that received it; input is stamped with <code>Plastick.currentTick</code> only. Any previous recording is discarded. Input passed to <code>Plastick.Input.press()</code> and <code>Plastick.Input.release()</code> directly, and gamepads, are not recorded.
+     *
+     * ```
+     * game.startRecording();
+     * game.start(levelState);
+     * ```
+     *
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.prototype.startRecording = function () {
+
+        this._recording = [];
+        if (this._debugMode) {
+            this.debug('Started recording input');
+        }
+    };
+
+    /**
+     * Stops recording events.
+     *
+     * @return {Array} The recorded events, or <code>null</code> if nothing was being recorded.
+     * @api public
+     */
+
+    Plastick.prototype.stopRecording = function () {
+
+        var recording = this._recording;
+
+        this._recording = null;
+        if (recording && this._debugMode) {
+            this.debug('Stopped recording input (' + recording.length + ' events)');
+        }
+        return recording;
+    };
+
+    /**
+     * Returns the events recorded so far as a JSON string, suitable for saving to a file or attaching to a bug report. Recording continues.
+     *
+     * @return {String} The recording in JSON format, or <code>null</code> if nothing is being recorded.
+     * @api public
+     */
+
+    Plastick.prototype.exportRecording = function () {
+
+        return this._recording ? JSON.stringify(this._recording) : null;
+    };
+
+    /**
+     * Replays a recording made with <code>Plastick.startRecording()</code>. Each recorded event is passed to the same listener of the same state, and each recorded input is given to <code>Plastick.input</code>, immediately before the tick that followed it in the original session. Live events and page input are ignored until the replay has finished, after which they are handled normally again. Start the replay before <code>Plastick.start()</code> (or from the same tick the recording was started) to reproduce the original session.
+     *
+     * ```
+     * game.replay(savedJSON);
+     * game.start(levelState);
+     * ```
+     *
+     * @param {Array|String} recording The recorded events, or their JSON representation.
+     * @return {Boolean} This returns <code>false</code> if the recording is invalid, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.replay = function (recording) {
+
+        if (typeof recording === 'string') {
+            try {
+                recording = JSON.parse(recording);
+            } catch (e) {
+                return false;
+            }
+        }
+        if (!Array.isArray(recording)) return false;
+
+        this._replay = recording.slice().sort(function (a, b) {
+            return a.tick - b.tick;
+        });
+        if (this._debugMode) {
+            this.debug('Started replaying input (' + this._replay.length + ' events)');
+        }
+        return true;
+    };
+
+    /**
+     * Ends a replay early, so that live events are handled again.
+     *
+     * @return {Boolean} This returns <code>false</code> if no replay was in progress, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.prototype.stopReplay = function () {
+
+        var wasReplaying = this.isReplaying();
+
+        this._replay = null;
+        return wasReplaying;
+    };
+
+    /**
+     * Used to check if a recording is being replayed.
+     *
+     * @return {Boolean} This returns <code>true</code> while recorded events are being replayed in place of live events.
+     * @api public
+     */
+
+    Plastick.prototype.isReplaying = function () {
+
+        return this._replay !== null;
+    };
+
+    /**
+     * Puts the game into a running state, starting game time from zero and listening for input.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._run = function () {
+
+        this._isRunning = true;
+        this.startTime = this.clock();
+        this._freezeLength = 0;
+        this._freezeStart = this.isFrozen() ? this.startTime : null;
+        this.tickTime = 0;
+        this._frameTime = 0;
+        this._timeBase = 0;
+        this._realBase = this._realTime();
+        // counted from zero, like game time, so that a recording replays from its first tick
+        this.currentTick = 0;
+        this._tickBase = 0;
+        this._tickTimeBase = 0;
+        this._tickRate = this.TARGET_TPS;
+        this._lagScale = 1;
+        this._stats.reset();
+        if (this.input.autoAttach) this.input.attach(this.canvas);
+    };
+
+    /**
+     * Replaces the state stack and game time with a snapshot's, for <code>Plastick.restore()</code>.
+     *
+     * @param {Object} snapshot The snapshot to restore.
+     * @param {Array} states The registered states named by the snapshot, from the bottom of the stack to the top.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._restore = function (snapshot, states) {
+
+        var wasRunning = this.isRunning(),
+            previous;
+
+        this._finishTransition();
+        previous = this.states.slice();
+        if (this.currentState()) {
+            this._destroyEventListeners(this.currentState());
+            if (states.indexOf(this.currentState()) >= 0) this._pauseState(this.currentState());
+        }
+        previous.reverse().forEach(function (state) {
+            if (states.indexOf(state) < 0) this._endState(state);
+        }, this);
+
+        if (!wasRunning) this._run();
+        this.states = states;
+        this.data = copyData(snapshot.data);
+        snapshot.states.forEach(function (entry, index) {
+            states[index].data = copyData(entry.data);
+        });
+        this.currentTick = snapshot.currentTick;
+        this._timeBase = snapshot.gameTime;
+        this._realBase = this._realTime();
+        this._tickBase = this.currentTick;
+        this._tickTimeBase = snapshot.gameTime;
+        this._tickRate = this.TARGET_TPS;
+        this._lagScale = 1;
+        this.tickTime = snapshot.gameTime;
+        this.tickAlpha = 0;
+
+        // states new to the stack are paused like the ones already beneath the current state
+        states.forEach(function (state) {
+            if (previous.indexOf(state) < 0) this._pauseState(state);
+        }, this);
+
+        if (this._debugMode) {
+            this.debug('Restored snapshot (' + this.stateNames().join(' -> ') + ')');
+        }
+        this._createEventListeners(this.currentState());
+        this._resumeState(this.currentState(), { restored: true });
+        if (this._port !== null) this._port.target.postMessage({ type: 'restore', snapshot: snapshot });
+        if (!wasRunning) this.emit('start');
+        this.emit('restore');
+
+        if (!wasRunning) this._scheduleFrames();
+    };
+
+    /**
+     * Starts driving the game loop, with the renderer if it schedules its own frames (like Facade), or else with the shared driver for <code>Plastick.scheduler</code>.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._scheduleFrames = function () {
+
+        if (this.renderer.drive) {
+            this.renderer.drive((function () { this._gameLoop(); }).bind(this));
+        } else {
+            this._driver = FrameDriver.forScheduler(this.scheduler);
+            this._driver.add(this);
+        }
+    };
+
+    /**
+     * Posts a message to the worker simulating the game, if there is one (see <code>Plastick.startWorker()</code>).
+     *
+     * @param {Object} message The message to post.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._postToWorker = function (message) {
+
+        if (this._worker !== null) this._worker.target.postMessage(message);
+    };
+
+    /**
+     * Tells the worker simulating the game to stop, and stops listening to it.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._unlinkWorker = function () {
+
+        if (this._worker === null) return;
+
+        this._postToWorker({ type: 'stop' });
+        this._worker.target.removeEventListener('message', this._worker.handler);
+        this._worker = null;
+        this.previousData = null;
+    };
+
+    /**
+     * Posts a copy of the game's data to the main thread at the end of a tick, along with what it needs to work out <code>Plastick.tickAlpha</code> and how far the active transition has got.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._postTick = function () {
+
+        this._port.target.postMessage({
+            type: 'tick',
+            snapshot: this.snapshot(),
+            position: this._tickPosition(this._frameTime),
+            rate: this._tickRate,
+            timeScale: this.timeScale * this._lagScale,
+            transition: this._transition ? this._transition.tick : null
+        });
+    };
+
+    /**
+     * Takes in a tick posted by the worker: the data of the tick before becomes the previous data, and the posted copies become the current data of the game and of each state on the state stack. The active transition is moved on to the worker's tick, or finished if the worker has finished it. If the worker's state stack does not match this one, the game is stopped and an error is thrown.
+     *
+     * @param {Object} message The message posted by <code>Plastick._postTick()</code>.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._receiveTick = function (message) {
+
+        var snapshot = message.snapshot,
+            previous = this._worker.current ? this._worker.current.snapshot : snapshot,
+            names = snapshot.states.map(function (entry) { return entry.name; }).join(' -> '),
+            here = this.states.map(this._stateKey, this).join(' -> ');
+
+        if (names !== here) {
+            this.stop();
+            throw new Error('State stack out of sync with the worker: ' + names + ' in the worker, ' + here + ' here');
+        }
+        if (this._transition) {
+            if (message.transition === null) this._finishTransition();
+            else this._transition.tick = message.transition;
+        }
+
+        this._worker.current = message;
+        this._worker.received = this.clock();
+        this.currentTick = snapshot.currentTick;
+        this.tickTime = snapshot.gameTime;
+
+        this.previousData = previous.data;
+        this.data = snapshot.data;
+        snapshot.states.forEach(function (entry, index) {
+
+            var state = this.states[index],
+                before = previous.states[index];
+
+            state.previousData = before && before.name === entry.name ? before.data : entry.data;
+            state.data = entry.data;
+        }, this);
+    };
+
+    /**
+     * Works out <code>Plastick.tickAlpha</code> on the main thread, from the position of the worker's clock when it posted the latest tick and the time since it arrived.
+     *
+     * @return {Float} The interpolation value, between 0.0 and 1.0.
+     * @api private
+     */
+
+    Plastick.prototype._workerAlpha = function () {
+
+        var current = this._worker.current,
+            alpha;
+
+        if (current === null) return 1;
+
+        alpha = current.position - current.snapshot.currentTick + 1 +
+                (this.clock() - this._worker.received) * current.timeScale * current.rate / 1000;
+        return Math.min(1, Math.max(0, alpha));
+    };
+
+    /**
+     * Queues a change to the state stack. The queue is applied immediately, unless a game tick, canvas frame or another change is in progress, in which case it is applied once that has finished. On the main thread of a game simulated in a worker, the change is sent to the worker instead, which sends it back once it has been made there.
+     *
+     * @param {String} method The name of the private method that performs the change.
+     * @param {Array} args The arguments to call the method with.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._requestStateChange = function (method, args) {
+
+        if (this._worker !== null) {
+            this._postToWorker(stateChangeMessage(this, method, args));
+            return;
+        }
+
+        this._stateChanges.push({ method: method, args: args });
+        if (!this._deferChanges) this._applyStateChanges();
+    };
+
+    /**
+     * Applies every queued change to the state stack, in the order they were requested. Changes requested while the queue is being applied (for example, from an <code>init()</code> callback) are added to the end of the queue. In a worker, each change is also sent to the main thread once it has been made.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._applyStateChanges = function () {
+
+        var change;
+
+        this._deferChanges = true;
+        try {
+            while (this._stateChanges.length) {
+                change = this._stateChanges.shift();
+                this[change.method].apply(this, change.args);
+                // a stop() caused by the change has already been sent, and stops the main thread too
+                if (this._port !== null && STATE_CHANGES.indexOf(change.method) >= 0) {
+                    this._port.target.postMessage(stateChangeMessage(this, change.method, change.args));
+                }
+            }
+        } finally {
+            // a callback that throws must not leave every later change stuck in the queue
+            this._deferChanges = false;
+        }
+    };
+
+    /**
+     * Pushes a state onto the state stack. See <code>Plastick.pushState()</code>.
+     *
+     * @param {Object} state The <code>Plastick.State</code> object to switch simulation to.
+     * @param {Object} [params] Parameters to pass to the new state's <code>init()</code> callback.
+     * @param {Object|String} [transition] A <code>Plastick.Transition</code> to animate the change with, or the name of a registered transition.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._pushState = function (state, params, transition) {
+
+        var prevState = this.currentState();
+
+        transition = this._resolveTransition(transition);
+        if (prevState && state instanceof Plastick.State) {
+            this._finishTransition();
+
+            if (transition instanceof Plastick.Transition) {
+                this.states.push(state);
+                if (this._debugMode) {
+                    this.debug('Pushing state (' + prevState.name + ' -> ' + this.currentState().name + ')');
+                }
+                state._init(this, params || {});
+                this._beginTransition('push', prevState, state, transition);
+            } else {
+                this._pauseState(prevState);
+                this._destroyEventListeners(prevState);
+
+                this.states.push(state);
+                if (this._debugMode) {
+                    this.debug('Pushed state (' + prevState.name + ' -> ' + this.currentState().name + ')');
+                }
+                this._createEventListeners(state);
+                state._init(this, params || {});
+            }
+            this.emit('statepush', state, prevState);
+        }
+    };
+
+    /**
+     * Pops the current state off the state stack. See <code>Plastick.popState()</code>.
+     *
+     * @param {Object} [params] Parameters to pass to the prior state's <code>resume()</code> callback.
+     * @param {Object|String} [transition] A <code>Plastick.Transition</code> to animate the change with, or the name of a registered transition.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._popState = function (params, transition) {
+
+        var prevState,
+            state;
+
+        transition = this._resolveTransition(transition);
+        this._finishTransition();
+        prevState = this.states.pop();
+        state = this.currentState();
+        if (!prevState) return;
+
+        if (prevState && state && transition instanceof Plastick.Transition) {
+            if (this._debugMode) {
+                this.debug('Popping state (' + prevState.name + ' -> ' + state.name + ')');
+            }
+            this._resumeState(state, params || {});
+            this._beginTransition('pop', prevState, state, transition);
+            this.emit('statepop', prevState, state);
+            return;
+        }
+
+        if (prevState) {
+            this._endState(prevState);
+            this._destroyEventListeners(prevState);
+        }
+        if (state) {
+            if (this._debugMode) {
+                this.debug('Popped state (' + prevState.name + ' -> ' + this.currentState().name + ')');
+            }
+            this._createEventListeners(state);
+            this._resumeState(state, params || {});
+            this.emit('statepop', prevState, state);
+        } else {
+            if (this._debugMode) {
+                this.debug('Popped state (' + prevState.name + ' -> [empty])');
+            }
+            this.emit('statepop', prevState, state);
+            this.stop();
+        }
+    };
+
+    /**
+     * Replaces the current state on the state stack. See <code>Plastick.changeState()</code>.
+     *
+     * @param {Object} state The <code>Plastick.State</code> object to switch simulation to.
+     * @param {Object} [params] Parameters to pass to the new state's <code>init()</code> callback.
+     * @param {Object|String} [transition] A <code>Plastick.Transition</code> to animate the change with, or the name of a registered transition.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._changeState = function (state, params, transition) {
+
+        var prevState = this.currentState();
+
+        transition = this._resolveTransition(transition);
+        if (prevState && state instanceof Plastick.State) {
+            this._finishTransition();
+            this.states.pop();
+
+            if (transition instanceof Plastick.Transition) {
+                this.states.push(state);
+                if (this._debugMode) {
+                    this.debug('Changing state (' + prevState.name + ' -> ' + this.currentState().name + ')');
+                }
+                state._init(this, params || {});
+                this._beginTransition('change', prevState, state, transition);
+            } else {
+                this._endState(prevState);
+                this._destroyEventListeners(prevState);
+
+                this.states.push(state);
+                if (this._debugMode) {
+                    this.debug('Changed state (' + prevState.name + ' -> ' + this.currentState().name + ')');
+                }
+                this._createEventListeners(state);
+                state._init(this, params || {});
+            }
+            this.emit('statechange', state, prevState);
+        }
+    };
+
+    /**
+     * Looks up a state by name in the state registry. Anything other than a string is returned as it is.
+     *
+     * @param {Object|String} state A <code>Plastick.State</code> object, or the name it was registered under.
+     * @return {Object} The <code>Plastick.State</code> object, or <code>undefined</code> if no state is registered under the name.
+     * @api private
+     */
+
+    Plastick.prototype._resolveState = function (state) {
+
+        return typeof state === 'string' ? this.getState(state) : state;
+    };
+
+    /**
+     * Finds the key a state was registered under, which is how it is named in snapshots, since a state's own name may differ from it.
+     *
+     * @param {Object} state The <code>Plastick.State</code> to look up.
+     * @return {String} The key in the state registry, or the state's name if it is not registered.
+     * @api private
+     */
+
+    Plastick.prototype._stateKey = function (state) {
+
+        var key;
+
+        for (key in this.registry) {
+            if (this.registry.hasOwnProperty(key) && this.registry[key] === state) return key;
+        }
+        return state.name;
+    };
+
+    /**
+     * Throws an error if a state change names a transition that is not in the transition registry, so that the mistake is reported where the change is requested.
+     *
+     * @param {Object|String} [transition] A <code>Plastick.Transition</code> object, or the name of a registered transition factory.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._checkTransition = function (transition) {
+
+        if (typeof transition === 'string' && !this.transitionRegistry.hasOwnProperty(transition)) {
+            throw new Error('Unknown transition: ' + transition);
+        }
+    };
+
+    /**
+     * Creates a transition from a factory in the transition registry. Anything other than a string is returned as it is.
+     *
+     * @param {Object|String} [transition] A <code>Plastick.Transition</code> object, or the name of a registered transition factory.
+     * @return {Object} The <code>Plastick.Transition</code> object.
+     * @api private
+     */
+
+    Plastick.prototype._resolveTransition = function (transition) {
+
+        this._checkTransition(transition);
+        return typeof transition === 'string' ? this.getTransition(transition) : transition;
+    };
+
+    /**
+     * Performs cleanup maintenance on a game that has been halted with <code>Plastick.stop()</code>.
+     *
+     * @return {true}
+     * @api private
+     */
+
+    Plastick.prototype._cleanup = function () {
+
+        this._stateChanges = [];
+        while (this.states.length) {
+            this._popState();
+        }
+        this.cancelTimers();
+        this.cancelTweens();
+        return true;
+    };
+
+    /**
+     * Creates a timer. See <code>Plastick.after()</code>.
+     *
+     * @param {Float} interval The number of ticks or milliseconds to wait.
+     * @param {Boolean} inTicks True if <code>interval</code> is measured in ticks, false if it is measured in milliseconds.
+     * @param {Boolean} repeat True if the timer should keep firing.
+     * @param {Function} callback The function to call.
+     * @param {Object} [state] The <code>Plastick.State</code> that owns the timer.
+     * @return {Object} The new timer.
+     * @api private
+     */
+
+    Plastick.prototype._addTimer = function (interval, inTicks, repeat, callback, state) {
+
+        var timer = {
+            interval: interval,
+            remaining: interval,
+            inTicks: inTicks,
+            repeat: repeat,
+            callback: callback,
+            state: state || null
+        };
+
+        this._timers.push(timer);
+        return timer;
+    };
+
+    /**
+     * Counts down the timers owned by a state (or the timers without an owner) by one tick, and fires the ones that are due. Timers created during this tick start counting on the next one.
+     *
+     * @param {Object} owner The <code>Plastick.State</code> that was just updated, or <code>null</code>.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._updateTimers = function (owner) {
+
+        var tickLength = 1000 / this.TARGET_TPS;
+
+        this._timers.filter(function (timer) {
+            return timer.state === owner;
+        }).forEach(function (timer) {
+            if (this._timers.indexOf(timer) < 0) return; // cancelled by an earlier timer
+
+            timer.remaining -= timer.inTicks ? 1 : tickLength;
+            if (timer.remaining > TICK_EPSILON) return;
+
+            if (timer.repeat) timer.remaining += timer.interval;
+            else this.cancelTimer(timer);
+            timer.callback.call(owner || this, this);
+        }, this);
+    };
+
+    /**
+     * Captures a tween's starting values and begins advancing it on the next tick.
+     *
+     * @param {Object} tween The <code>Plastick.Tween</code> to start.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._startTween = function (tween) {
+
+        tween._start();
+        this._tweens.push(tween);
+    };
+
+    /**
+     * Advances the tweens owned by a state (or the tweens without an owner) by one tick. Finished tweens call their completion callbacks and start the tweens chained to them, which begin advancing on the next tick.
+     *
+     * @param {Object} owner The <code>Plastick.State</code> that was just updated, or <code>null</code>.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._updateTweens = function (owner) {
+
+        this._tweens.filter(function (tween) {
+            return tween.state === owner;
+        }).forEach(function (tween) {
+            if (this._tweens.indexOf(tween) < 0) return; // cancelled by an earlier tween
+            if (!tween._update()) return;
+
+            this.cancelTween(tween);
+            tween._onComplete.forEach(function (callback) {
+                callback.call(owner || this, this, tween);
+            }, this);
+            tween._chained.forEach(this._startTween, this);
+        }, this);
+    };
+
+    /**
+     * Pauses a state that is still on the state stack, along with the sounds it owns.
+     *
+     * @param {Object} state The <code>Plastick.State</code> to pause.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._pauseState = function (state) {
+
+        state._pause(this);
+        this.audio._pauseOwned(state);
+    };
+
+    /**
+     * Resumes a paused state, along with the sounds it owns.
+     *
+     * @param {Object} state The <code>Plastick.State</code> to resume.
+     * @param {Object} params Parameters to pass to the state's <code>resume()</code> callback.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._resumeState = function (state, params) {
+
+        state._resume(this, params);
+        this.audio._resumeOwned(state);
+    };
+
+    /**
+     * Ends a state that is leaving the state stack, by calling its <code>cleanup()</code> method and cancelling everything it owns.
+     *
+     * @param {Object} state The <code>Plastick.State</code> that is being removed.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._endState = function (state) {
+
+        state._cleanup(this);
+        this.cancelTimers(state);
+        this.cancelTweens(state);
+        this.audio.stopAll(state);
+        this._interpolated = this._interpolated.filter(function (entry) {
+            return entry.state !== state;
+        });
+    };
+
+    /**
+     * Freezes or unfreezes the game simulation with the reason <code>"blur"</code> (depending on the "blur" state of the web page when it's called). The example code shows how Plastick uses this method.
+     *
+     * ```
+     * this.visibility.listen(this._freeze.bind(this));
+     * ```
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._freeze = function () {
+
+        // freeze game when window blurs
+        var isHidden = this.visibility.isHidden();
+
+        if (this.freezeOnBlur && isHidden && this.isRunning() && !this.isFrozen('blur')) {
+            this.freeze('blur');
+        }
+        if (!isHidden) {
+            this.unfreeze('blur');
+        }
+    };
+
+    /**
+     * Creates event listeners and game event subscriptions registered to a game state.
+     *
+     * @param {Object} state The <code>Plastick.State</code> that is now current.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._createEventListeners = function (state) {
+
+        // listeners are created by Plastick.unfreeze() instead
+        if (this.isFrozen()) return;
+
+        state.listeners.forEach(function (listener) {
+            listener.element.addEventListener(listener.eventType, this._listenerHandler(state, listener));
+        }, this);
+        state._activeSubscriptions = state.subscriptions.map(function (subscription) {
+            // subscribed through a wrapper of its own, so that removing it leaves other
+            // subscriptions of the same callback (by the game or another state) in place
+            var active = {
+                subscription: subscription,
+                game: this,
+                handler: function () { return subscription.callback.apply(this, arguments); }
+            };
+
+            this.on(subscription.type, active.handler);
+            return active;
+        }, this);
+    };
+
+    /**
+     * Removes event listeners and game event subscriptions registered to a game state.
+     *
+     * @param {Object} state The <code>Plastick.State</code> that was popped from the state stack.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._destroyEventListeners = function (state) {
+
+        state.listeners.forEach(function (listener) {
+            listener.element.removeEventListener(listener.eventType, this._listenerHandler(state, listener));
+        }, this);
+        state._activeSubscriptions.forEach(function (active) {
+            this.off(active.subscription.type, active.handler);
+        }, this);
+        state._activeSubscriptions = [];
+    };
+
+    /**
+     * Wraps a state's listener callback so that live events can be recorded, or ignored while a recording is being replayed. A state can be used by several games, so each game keeps a wrapper of its own, which is created the first time it is needed.
+     *
+     * @param {Object} state The <code>Plastick.State</code> the listener is registered to.
+     * @param {Object} listener The registered listener.
+     * @return {Function} The handler to add to the page.
+     * @api private
+     */
+
+    Plastick.prototype._listenerHandler = function (state, listener) {
+
+        var game = this,
+            own = listener.handlers.filter(function (entry) { return entry.game === game; })[0];
+
+        if (own) return own.handler;
+
+        own = { game: game };
+        own.handler = function (e) {
+
+            if (game._replay) return;
+            if (game._recording) {
+                game._recording.push({
+                    tick: game.currentTick,
+                    state: state.name,
+                    listener: state.listeners.indexOf(listener),
+                    type: listener.eventType,
+                    event: serializeEvent(e)
+                });
+            }
+            return listener.callback.call(this, e);
+        };
+        listener.handlers.push(own);
+        return own.handler;
+    };
+
+    /**
+     * Passes every replayed event that is due before the next tick to its listener on the listening state, and every replayed input to <code>Plastick.input</code>. Events recorded for any other state are skipped.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._replayEvents = function () {
+
+        var entry,
+            state,
+            listener;
+
+        while (this._replay && this._replay.length && this._replay[0].tick <= this.currentTick) {
+            entry = this._replay.shift();
+            if (entry.input) {
+                this.input._apply(entry.input, entry.value);
+                continue;
+            }
+            state = this._listeningState();
+            listener = state && state.name === entry.state ? state.listeners[entry.listener] : undefined;
+            if (listener && listener.eventType === entry.type) {
+                listener.callback.call(listener.element, replayedEvent(entry.event));
+            } else if (this._debugMode) {
+                this.debug('Skipped replayed ' + entry.type + ' event for state ' + entry.state);
+            }
+        }
+        if (this._replay && !this._replay.length) {
+            this._replay = null;
+            if (this._debugMode) {
+                this.debug('Finished replaying input');
+            }
+        }
+    };
+
+    /**
+     * Returns the state whose event listeners are currently active. This is the current state, except during a transition, when the outgoing state keeps its listeners until the transition finishes.
+     *
+     * @return {Object} The listening <code>Plastick.State</code>.
+     * @api private
+     */
+
+    Plastick.prototype._listeningState = function () {
+
+        return this._transition ? this._transition.from : this.currentState();
+    };
+
+    /**
+     * Starts animating a change between two states. The outgoing state's event listeners stay active until the transition finishes.
+     *
+     * @param {String} kind The kind of state change (<code>'push'</code>, <code>'pop'</code> or <code>'change'</code>).
+     * @param {Object} from The outgoing <code>Plastick.State</code>.
+     * @param {Object} to The incoming <code>Plastick.State</code>.
+     * @param {Object} transition The <code>Plastick.Transition</code> to animate the change with.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._beginTransition = function (kind, from, to, transition) {
+
+        var fromDepth = this.states.length - 1;
+
+        // number of states beneath the outgoing state
+        if (kind === 'push') fromDepth -= 1;
+        else if (kind === 'pop') fromDepth += 1;
+
+        this._transition = {
+            kind: kind,
+            from: from,
+            fromDepth: fromDepth,
+            to: to,
+            transition: transition,
+            tick: 0
+        };
+    };
+
+    /**
+     * Completes the active transition, if any, by pausing or cleaning up the outgoing state and handing the event listeners over to the incoming state.
+     *
+     * @return {Boolean} This returns <code>false</code> if no transition was active, otherwise it returns <code>true</code>.
+     * @api private
+     */
+
+    Plastick.prototype._finishTransition = function () {
+
+        var active = this._transition;
+
+        if (!active) return false;
+        this._transition = null;
+
+        if (active.kind === 'push') {
+            this._pauseState(active.from);
+        } else {
+            this._endState(active.from);
+        }
+        this._destroyEventListeners(active.from);
+        this._createEventListeners(active.to);
+
+        if (this._debugMode) {
+            this.debug('Finished transition (' + active.from.name + ' -> ' + active.to.name + ')');
+        }
+        return true;
+    };
+
+    /**
+     * Returns how far the active transition has progressed, interpolated with <code>Plastick.tickAlpha</code>.
+     *
+     * @return {Float} A value between 0.0 and 1.0.
+     * @api private
+     */
+
+    Plastick.prototype._transitionProgress = function () {
+
+        var active = this._transition,
+            progress = (active.tick - 1 + this.tickAlpha) / active.transition.ticks;
+
+        return Math.min(1, Math.max(0, progress));
+    };
+
+    /**
+     * Simulates one game tick. This updates the current state (and the states beneath it, if it passes updates through), or the active transition while states are changing. States are updated from the bottom up, and updating stops early if the current state changes. Each state's timers and tweens are advanced right after it is updated, followed by the timers and tweens without an owner.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._updateStates = function () {
+
+        var active = this._transition,
+            top = this.currentState(),
+            layers = [top],
+            i = this.states.length - 2,
+            start;
+
+        if (active) {
+            active.tick += 1;
+            active.transition._update(this, active.tick / active.transition.ticks);
+            if (active.tick >= active.transition.ticks) this._finishTransition();
+        } else {
+            while (layers[0].passthroughUpdate && i >= 0) {
+                layers.unshift(this.states[i]);
+                i -= 1;
+            }
+            for (i = 0; i < layers.length && this._isRunning && this.currentState() === top; i += 1) {
+                start = this._stats.clock();
+                layers[i]._update(this);
+                this._stats._time('update', layers[i], this._stats.clock() - start);
+                this._updateTimers(layers[i]);
+                this._updateTweens(layers[i]);
+            }
+        }
+        if (this._isRunning) {
+            this._updateTimers(null);
+            this._updateTweens(null);
+        }
+    };
+
+    /**
+     * Draws the current state, or composites the outgoing and incoming states with the active transition while states are changing.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._drawStates = function () {
+
+        var active = this._transition,
+            game = this;
+
+        if (active) {
+            active.transition._draw(this, this._transitionProgress(),
+                function () { game._drawLayers(active.from, active.fromDepth); },
+                function () { game._drawLayers(active.to, game.states.length - 1); });
+        } else {
+            this._drawLayers(this.currentState(), this.states.length - 1);
+        }
+    };
+
+    /**
+     * Draws a state, along with any states beneath it on the state stack that are left visible by transparent states. States are drawn from the bottom up.
+     *
+     * @param {Object} state The <code>Plastick.State</code> to draw.
+     * @param {Integer} depth The number of states beneath <code>state</code> on the state stack.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._drawLayers = function (state, depth) {
+
+        var layers = [state],
+            i = depth - 1;
+
+        while (layers[0].transparent && i >= 0) {
+            layers.unshift(this.states[i]);
+            i -= 1;
+        }
+        layers.forEach(function (layer) {
+            var start = this._stats.clock();
+
+            layer._draw(this);
+            this._stats._time('draw', layer, this._stats.clock() - start);
+        }, this);
+    };
+
+    /**
+     * Finds the registry entry for an object passed to <code>Plastick.interpolate()</code>.
+     *
+     * @param {Object} target The interpolated object.
+     * @return {Object} The entry, or <code>undefined</code> if the object is not being interpolated.
+     * @api private
+     */
+
+    Plastick.prototype._interpolationEntry = function (target) {
+
+        var i;
+
+        for (i = 0; i < this._interpolated.length; i += 1) {
+            if (this._interpolated[i].target === target) return this._interpolated[i];
+        }
+        return undefined;
+    };
+
+    /**
+     * Remembers the current value of every interpolated property, before the next tick changes it.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._snapshotInterpolated = function () {
+
+        this._interpolated.forEach(function (entry) {
+            var key;
+
+            for (key in entry.kinds) {
+                if (entry.kinds.hasOwnProperty(key)) entry.previous[key] = copyValue(entry.target[key]);
+            }
+        });
+    };
+
+    /**
+     * Returns the real time that has passed since <code>Plastick.start()</code> was called, not including frozen time and unaffected by the time scale. While the game is frozen, this stays at the moment the game was frozen.
+     *
+     * @param {Float} [time] A timestamp (time since beginning of session) to use instead of the current time.
+     * @return {Float} The real time, in milliseconds.
+     * @api private
+     */
+
+    Plastick.prototype._realTime = function (time) {
+
+        var now = time || this.clock();
+
+        if (this._freezeStart !== null) now = Math.min(now, this._freezeStart);
+        return now - this.startTime - this._freezeLength;
+    };
+
+    /**
+     * Picks up a change to <code>Plastick.TARGET_TPS</code>. The tick timeline is re-anchored at the end of the current tick, so ticks that have already been simulated keep their old length.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._syncTickRate = function () {
+
+        if (this.TARGET_TPS === this._tickRate) return;
+
+        this._tickTimeBase += (this.currentTick - this._tickBase) * 1000 / this._tickRate;
+        this._tickBase = this.currentTick;
+        this._tickRate = this.TARGET_TPS;
+        if (this._debugMode) {
+            this.debug('Tick rate set to ' + this._tickRate + ' TPS');
+        }
+    };
+
+    /**
+     * Returns the game time at which a tick ends.
+     *
+     * @param {Integer} tick The tick.
+     * @return {Float} A game time, in milliseconds.
+     * @api private
+     */
+
+    Plastick.prototype._tickTimeAt = function (tick) {
+
+        this._syncTickRate();
+        return this._tickTimeBase + (tick - this._tickBase) * 1000 / this._tickRate;
+    };
+
+    /**
+     * Converts a game time to a position on the tick timeline, snapping positions that are within floating point error of a tick boundary onto that boundary.
+     *
+     * @param {Float} time A game time, in milliseconds.
+     * @return {Float} The number of ticks that fit into <code>time</code>.
+     * @api private
+     */
+
+    Plastick.prototype._tickPosition = function (time) {
+
+        var position,
+            nearest;
+
+        this._syncTickRate();
+        position = this._tickBase + (time - this._tickTimeBase) * this._tickRate / 1000;
+        nearest = Math.round(position);
+
+        return Math.abs(position - nearest) < TICK_EPSILON ? nearest : position;
+    };
+
+    /**
+     * The main game loop. The game is simulated using a fixed time step design. <code>Plastick.State._update()</code> is called once per game tick, but several ticks could be simulated before the canvas is rendered with <code>Plastick.State._draw()</code>. Thus, the rate of the game tick simulation is decoupled from the canvas frame rate (which is governed by <code>requestAnimationFrame()</code>). If the simulation falls behind momentarily, it will try to catch up at a maximum rate of <code>Plastick.TICK_CHOKE</code> ticks per call, and any ticks still left over are handled by <code>Plastick.catchUpPolicy</code>. When the game is simulated in a worker (see <code>Plastick.startWorker()</code>), the worker posts each tick to the main thread, and the main thread only draws (the worker does not). Below is Plastick's implementation of this game loop:
+     *
+     * ```
+     * function (maxTicks) {
+     *
+     *     var ticksUpdated = 0,
+     *         sameState = this.currentState(),
+     *         choked;
+     *
+     *     if (maxTicks === undefined) maxTicks = this.TICK_CHOKE;
+     *     this._frameTime = this.gameTime();
+     *     if (this._worker !== null) {
+     *         // there are no ticks here, so the input is sampled once per frame instead
+     *         this.input._pollGamepads();
+     *         this.input._sample();
+     *     }
+     *     while (this._worker === null &&
+     *             this._tickPosition(this._frameTime) > this.currentTick &&
+     *             ticksUpdated < maxTicks &&
+     *             this._isRunning && !this.isFrozen()) {
+     *
+     *         this._replayEvents();
+     *         if (!this._isRunning) break;
+     *         this.input._sample();
+     *         this.currentTick += 1;
+     *         ticksUpdated += 1;
+     *         this._snapshotInterpolated();
+     *         this._deferChanges = true;
+     *         try {
+     *             this._hook('beforeTick');
+     *             this._updateStates();
+     *             this._hook('afterTick');
+     *         } finally {
+     *             this._deferChanges = false;
+     *         }
+     *         this._applyStateChanges();
+     *         this.tickTime = this.gameTime();
+     *         if (this._port !== null) this._postTick();
+     *     }
+     *     choked = ticksUpdated >= maxTicks && this._tickPosition(this._frameTime) > this.currentTick;
+     *     if (this._isRunning) this._catchUp(choked);
+     *     // skip draw if game was stopped (no state on the stack!), or if the state was
+     *     // changed instantly (it is drawn once it has been updated), but not if a
+     *     // transition started, since it begins by drawing the outgoing state
+     *     if (this._isRunning && this._port === null &&
+     *             (this.currentState() === sameState || this._transition !== null) &&
+     *             (this.drawWhileFrozen || !this.isFrozen())) {
+     *         this.tickAlpha = this._worker !== null ? this._workerAlpha() :
+     *                 this._tickPosition(this.gameTime()) - this.currentTick + 1;
+     *         this._deferChanges = true;
+     *         try {
+     *             this._hook('beforeDraw');
+     *             this._drawStates();
+     *             this._hook('afterDraw');
+     *             if (this._stats.overlay && this.context) this._stats.draw(this.context);
+     *         } finally {
+     *             this._deferChanges = false;
+     *         }
+     *         this._applyStateChanges();
+     *     }
+     *     this._stats._endFrame(ticksUpdated, choked);
+     *     return ticksUpdated;
+     * };
+     * ```
+     *
+     * @param {Integer} [maxTicks] The maximum number of ticks to simulate. Defaults to <code>Plastick.TICK_CHOKE</code>.
+     * @return {Integer} The number of ticks that were simulated.
+     * @api private
+     */
+
+    Plastick.prototype._gameLoop = function (maxTicks) {
+
+        var ticksUpdated = 0,
+            sameState = this.currentState(),
+            choked;
+
+        if (maxTicks === undefined) maxTicks = this.TICK_CHOKE;
+        this._frameTime = this.gameTime();
+        if (this._worker !== null) {
+            // there are no ticks here, so the input is sampled once per frame instead
+            this.input._pollGamepads();
+            this.input._sample();
+        }
+        while (this._worker === null &&
+                this._tickPosition(this._frameTime) > this.currentTick &&
+                ticksUpdated < maxTicks &&
+                this._isRunning && !this.isFrozen()) {
+
+            this._replayEvents();
+            if (!this._isRunning) break;
+            this.input._sample();
+            this.currentTick += 1;
+            ticksUpdated += 1;
+            this._snapshotInterpolated();
+            this._deferChanges = true;
+            try {
+                this._hook('beforeTick');
+                this._updateStates();
+                this._hook('afterTick');
+            } finally {
+                this._deferChanges = false;
+            }
+            this._applyStateChanges();
+            this.tickTime = this.gameTime();
+            if (this._port !== null) this._postTick();
+        }
+        choked = ticksUpdated >= maxTicks && this._tickPosition(this._frameTime) > this.currentTick;
+        if (this._isRunning) this._catchUp(choked);
+        // skip draw if game was stopped (no state on the stack!), or if the state was
+        // changed instantly (it is drawn once it has been updated), but not if a
+        // transition started, since it begins by drawing the outgoing state
+        if (this._isRunning && this._port === null &&
+                (this.currentState() === sameState || this._transition !== null) &&
+                (this.drawWhileFrozen || !this.isFrozen())) {
+            this.tickAlpha = this._worker !== null ? this._workerAlpha() :
+                    this._tickPosition(this.gameTime()) - this.currentTick + 1;
+            this._deferChanges = true;
+            try {
+                this._hook('beforeDraw');
+                this._drawStates();
+                this._hook('afterDraw');
+                if (this._stats.overlay && this.context) this._stats.draw(this.context);
+            } finally {
+                this._deferChanges = false;
+            }
+            this._applyStateChanges();
+        }
+        this._stats._endFrame(ticksUpdated, choked);
+        return ticksUpdated;
+    };
+
+    /**
+     * Calls a hook of every plugin installed with <code>Plastick.use()</code>, in the order the plugins were installed.
+     *
+     * @param {String} name The name of the hook.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._hook = function (name) {
+
+        Plastick.plugins.forEach(function (plugin) {
+            if (typeof plugin[name] === 'function') plugin[name](this);
+        }, this);
+    };
+
+    /**
+     * Applies <code>Plastick.catchUpPolicy</code> to the ticks left over by a frame that hit <code>Plastick.TICK_CHOKE</code>, and emits a <code>lag</code> event. After frames that kept up, this instead lets game time recover from any slowdown applied by the <code>'slow'</code> policy. An error is thrown if <code>Plastick.catchUpPolicy</code> names a policy that is not in <code>Plastick.catchUp</code>.
+     *
+     * @param {Boolean} choked True if the frame hit <code>Plastick.TICK_CHOKE</code>.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._catchUp = function (choked) {
+
+        var policy = this.catchUpPolicy,
+            backlog,
+            dropped;
+
+        if (!choked) {
+            if (this._lagScale < 1) this._setLagScale(Math.min(1, this._lagScale * LAG_RECOVERY));
+            return;
+        }
+
+        if (typeof policy !== 'function') {
+            if (!Plastick.catchUp.hasOwnProperty(policy)) throw new Error('Unknown catch-up policy: ' + policy);
+            policy = Plastick.catchUp[policy];
+        }
+        backlog = Math.ceil(this._tickPosition(this.gameTime()) - this.currentTick);
+        dropped = policy(this, backlog) || 0;
+        if (this._debugMode) {
+            this.debug('Fell behind by ' + backlog + ' ticks (' + dropped + ' dropped)');
+        }
+        this.emit('lag', dropped, backlog);
+    };
+
+    /**
+     * Moves game time back to the end of the last simulated tick, so that no ticks are left to catch up on. Used by the <code>Plastick.catchUp</code> policies.
+     *
+     * @return {Integer} The number of ticks that were dropped.
+     * @api private
+     */
+
+    Plastick.prototype._dropBacklog = function () {
+
+        var dropped = Math.max(0, Math.ceil(this._tickPosition(this.gameTime()) - this.currentTick));
+
+        this._timeBase -= this.gameTime() - this._tickTimeAt(this.currentTick);
+        this._frameTime = this.gameTime();
+        return dropped;
+    };
+
+    /**
+     * Changes the extra time scale applied by the <code>'slow'</code> catch-up policy, keeping game time continuous.
+     *
+     * @param {Float} factor The new factor, between 0.0 and 1.0.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.prototype._setLagScale = function (factor) {
+
+        this._timeBase = this.gameTime();
+        this._realBase = this._realTime();
+        this._lagScale = factor;
+    };
+
+    // Plastick.State //////////////////////////////////////////////////////////
+
+    /**
+     * This represents a game state (menu, pause screen, demo screen, etc). The default behavior for the six definable methods is to do nothing. The user can redefine each one by passing it a callback method.
+     *
+     * ```
+     * menuState = new State();
+     * ```
+     *
+     * @param {String} [name] A label for the new state (useful when debugging).
+     * @property {Object} data A generic object which the user can store any state-related data in.
+     * @property {Object} previousData On the main thread of a game simulated in a worker (see <code>Plastick.startWorker()</code>), <code>data</code> as it was one tick earlier. Otherwise this is <code>null</code>.
+     * @property {Object} methods A generic object which the user can store any state-related methods in.
+     * @property {Boolean} transparent If true, the states beneath this one on the state stack are drawn before it, so it can be used as an overlay (HUD, dialog, pause menu, etc). Defaults to <code>false</code>.
+     * @property {Boolean} passthroughUpdate If true, the states beneath this one on the state stack keep being updated while it is the current state, even though they have been paused. Defaults to <code>false</code>.
+     * @return {Object} A new <code>Plastick.State</code> object.
+     * @api public
+     */
+
+    Plastick.State = function (name) {
+
+        this._init = function () { return undefined; };
+        this._cleanup = function () { return undefined; };
+        this._update = function () { return undefined; };
+        this._draw = function () { return undefined; };
+        this._pause = function () { return undefined; };
+        this._resume = function () { return undefined; };
+        this.name = name;
+        this.data = {};
+        this.previousData = null;
+        this.methods = {};
+        this.listeners = [];
+        this.subscriptions = [];
+        this._activeSubscriptions = [];
+        this.transparent = false;
+        this.passthroughUpdate = false;
+
+        Plastick.plugins.forEach(function (plugin) {
+            if (typeof plugin.initState === 'function') plugin.initState(this);
+        }, this);
+    };
+
+    /**
+     * This method allows the user to register an event listener with this state. All registered events are added to the page when this state is started or resumed, and they are removed from the page when this state is paused or finished.
+     *
+     * ```
+     * menuState.registerListener(document, 'click', function() {...});
+     * ```
+     *
+     * @param {Object} element The object to register the listener for.
+     * @param {String} type The event to register the listener for.
+     * @param {Function} callback The callback function to register.
+     * @return {void}
+     */
+
+    Plastick.State.prototype.registerListener = function (element, type, callback) {
+
+        this.listeners.push({
+            element: element,
+            eventType: type,
+            callback: callback,
+            handlers: []
+        });
+    };
+
+    /**
+     * This method allows the user to deregister an event listener with this state. If you want to deregister a specific callback, you _must_ pass in a reference of the same copy that was registered eariler. If the callback parameter is omitted, all callbacks linked to the specified element-event combination are deregistered.
+     *
+     * ```
+     * menuState.deregisterListener(document, 'click');
+     * ```
+     *
+     * @param {Object} element The object to deregister the listener(s) for.
+     * @param {String} type The event to deregister the listener(s) for.
+     * @param {Function} [callback] The specific callback function to deregister.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.State.prototype.deregisterListener = function (element, type, callback) {
+
+        var oldListeners;
+
+        oldListeners = this.listeners.slice();
+        oldListeners.forEach(function (listener, index) {
+            if (listener.element === element && listener.eventType === type && (listener.callback === callback || callback === undefined)) {
+                this.listeners.splice(index, 1);
+            }
+        });
+    };
+
+    /**
+     * This method allows the user to subscribe to a game event (see <code>Plastick.on()</code>) with this state. Like event listeners, all subscriptions are activated when this state is started or resumed, and they are deactivated when this state is paused or finished.
+     *
+     * ```
+     * levelState.subscribe('score', function (points) {...});
+     * ```
+     *
+     * @param {String} type The game event to subscribe to.
+     * @param {Function} callback The callback function to subscribe.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.State.prototype.subscribe = function (type, callback) {
+
+        this.subscriptions.push({
+            type: type,
+            callback: callback
+        });
+    };
+
+    /**
+     * This method allows the user to remove a game event subscription from this state. If the callback parameter is omitted, all callbacks subscribed to the game event are removed. If this state is current, the subscriptions are deactivated straight away.
+     *
+     * ```
+     * levelState.unsubscribe('score');
+     * ```
+     *
+     * @param {String} type The game event to unsubscribe from.
+     * @param {Function} [callback] The specific callback function to unsubscribe.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.State.prototype.unsubscribe = function (type, callback) {
+
+        this.subscriptions = this.subscriptions.filter(function (subscription) {
+            return subscription.type !== type || (callback !== undefined && subscription.callback !== callback);
+        });
+        this._activeSubscriptions = this._activeSubscriptions.filter(function (active) {
+            if (this.subscriptions.indexOf(active.subscription) >= 0) return true;
+            active.game.off(active.subscription.type, active.handler);
+            return false;
+        }, this);
+    };
+
+    /**
+     * Registers a callback to the <code>init()</code> method. This method is called by Plastick whenever this state is added to the state stack. It receives the Plastick object and the parameters passed to <code>Plastick.start()</code>, <code>Plastick.pushState()</code> or <code>Plastick.changeState()</code> (or an empty object).
+     *
+     * ```
+     * levelState.init(function (game, params) {
+     *     this.data.level = params.id;
+     * });
+     * ```
+     *
+     * @param {Function} func The function to use for the <code>init()</code> callback.
+     * @return {Function} The function that was registered.
+     * @api public
+     */
+
+    Plastick.State.prototype.init = function (func) {
+
+        if (typeof func === 'function') { this._init = func; }
+        return this._init;
+    };
+
+    /**
+     * Registers a callback to the <code>cleanup()</code> method. This method is called by Plastick whenever this state is removed from the state stack.
+     *
+     * ```
+     * menuState.cleanup(function() {...});
+     * ```
+     *
+     * @param {Function} func The function to use for the <code>cleanup()</code> callback.
+     * @return {Function} The function that was registered.
+     * @api public
+     */
+
+    Plastick.State.prototype.cleanup = function (func) {
+
+        if (typeof func === 'function') { this._cleanup = func; }
+        return this._cleanup;
+    };
+
+    /**
+     * Registers a callback to the <code>update()</code> method. This method is called by Plastick once during each game tick. The passed callback should contain your main game loop, and as part of a fixed time step design it should always simulate a constant amount of game time. In order to maintain accurate timing in your game, Plastick may call this multiple times between each canvas frame.
+     *
+     * ```
+     * menuState.update(function() {...});
+     * ```
+     *
+     * @param {Function} func The function to use for the <code>update()</code> callback.
+     * @return {Function} The function that was registered.
+     * @api public
+     */
+
+    Plastick.State.prototype.update = function (func) {
+
+        if (typeof func === 'function') { this._update = func; }
+        return this._update;
+    };
+
+    /**
+     * Registers a callback to the <code>draw()</code> method. This method is called by Plastick once before each canvas frame is drawn. The passed callback should contain your rendering code. You do not need to call <code>requestAnimationFrame()</code>; this is done automatically by Plastick (or by Facade if it was passed to Plastick upon construction).
+     *
+     * ```
+     * menuState.draw(function() {
+     *     game.stage.clear();
+     *     for (var e = 0; e < entities.length; e += 1) {
+     *     }
+     * });
+     * ```
+     *
+     * @param {Function} func The function to use for the <code>draw()</code> callback.
+     * @return {Function} The function that was registered.
+     * @api public
+     */
+
+    Plastick.State.prototype.draw = function (func) {
+
+        if (typeof func === 'function') { this._draw = func; }
+        return this._draw;
+    };
+
+    /**
+     * Registers a callback to the <code>pause()</code> method. This method is called by Plastick when this state is the current state and is being suspended to begin simulation of a new state.
+     *
+     * ```
+     * menuState.pause(function() {...});
+     * ```
+     *
+     * @param {Function} func The function to use for the <code>pause()</code> callback.
+     * @return {Function} The function that was registered.
+     * @api public
+     */
+
+    Plastick.State.prototype.pause = function (func) {
+
+        if (typeof func === 'function') { this._pause = func; }
+        return this._pause;
+    };
+
+    /**
+     * Registers a callback to the <code>resume()</code> method. This method is called by Plastick when this state is suspended and is resuming simulation as the current state. It receives the Plastick object and the parameters passed to <code>Plastick.popState()</code> (or an empty object).
+     *
+     * ```
+     * menuState.resume(function (game, params) {...});
+     * ```
+     *
+     * @param {Function} func The function to use for the <code>resume()</code> callback.
+     * @return {Function} The function that was registered.
+     * @api public
+     */
+
+    Plastick.State.prototype.resume = function (func) {
+
+        if (typeof func === 'function') { this._resume = func; }
+        return this._resume;
+    };
+
+    // Plastick.use /////////////////////////////////////////////////////////////
+
+    /**
+     * The plugins installed with <code>Plastick.use()</code>, in the order they were installed.
+     *
+     * @api public
+     */
+
+    Plastick.plugins = [];
+
+    /**
+     * Copies methods onto a prototype, without replacing any method that is already defined.
+     *
+     * @param {Object} proto The prototype to extend.
+     * @param {Object} [methods] The methods to add, by name.
+     * @return {void}
+     * @api private
+     */
+
+    function addMethods(proto, methods) {
+
+        var name;
+
+        for (name in methods) {
+            if (methods.hasOwnProperty(name) && proto[name] === undefined) proto[name] = methods[name];
+        }
+    }
+
+    /**
+     * Installs a plugin. Its methods and its tick, draw and event hooks apply to every Plastick object and <code>Plastick.State</code>, including those that already exist; only its <code>init</code> and <code>initState</code> hooks are limited to objects created afterwards. A plugin is an object with any of the following properties, all of them optional: <ul><li><code>methods</code> and <code>stateMethods</code>: methods to add to every Plastick object and every <code>Plastick.State</code> (existing methods are never replaced)</li><li><code>install(Plastick)</code>: called once, when the plugin is installed</li><li><code>init(game)</code>: called at the end of the Plastick constructor</li><li><code>initState(state)</code>: called at the end of the <code>Plastick.State</code> constructor</li><li><code>beforeTick(game)</code> and <code>afterTick(game)</code>: called around the state updates of every game tick</li><li><code>beforeDraw(game)</code> and <code>afterDraw(game)</code>: called around the state draws of every canvas frame</li><li><code>events</code>: hooks for game events by type (such as <code>start</code>, <code>stop</code>, <code>statepush</code>, <code>statepop</code>, <code>statechange</code>, <code>freeze</code> and <code>unfreeze</code>; see <code>Plastick.on()</code>), called with the Plastick object followed by the event's arguments, before any subscribed callbacks</li></ul>
+     * A function can also be passed in, in which case it is used as the plugin's <code>install</code> hook. Hooks are called with the plugin as <code>this</code>, and state changes requested from the tick and draw hooks are queued like those requested from state callbacks.
+     *
+     * ```
+     * Plastick.use({
+     *     methods: {
+     *         showFPS: function (show) { this.data.showFPS = show; }
+     *     },
+     *     afterDraw: function (game) {
+     *         if (game.data.showFPS) game.context.fillText(game.stats().fps.toFixed(0), 4, 12);
+     *     },
+     *     events: {
+     *         statechange: function (game, state) { analytics.track('screen', state.name); }
+     *     }
+     * });
+     * ```
+     *
+     * @param {Object|Function} plugin The plugin to install.
+     * @return {Boolean} This returns <code>false</code> if the plugin was already installed, otherwise it returns <code>true</code>.
+     * @api public
+     */
+
+    Plastick.use = function (plugin) {
+
+        if (typeof plugin === 'function') plugin = { install: plugin };
+        if (!plugin || Plastick.plugins.some(function (installed) {
+                return installed === plugin || (installed.install !== undefined && installed.install === plugin.install);
+            })) {
+            return false;
+        }
+
+        Plastick.plugins.push(plugin);
+        addMethods(Plastick.prototype, plugin.methods);
+        addMethods(Plastick.State.prototype, plugin.stateMethods);
+        if (typeof plugin.install === 'function') plugin.install(Plastick);
+        return true;
+    };
+
+    // Plastick.renderers ///////////////////////////////////////////////////////
+
+    /**
+     * Renderer adapters, which connect Plastick to whatever the game is drawn with. When a Plastick object is created, the adapters are tried from the most recently added one to the first built-in one, and the first one whose <code>test(stage)</code> accepts the stage is used (unless the <code>renderer</code> option picks one). Its <code>create(stage, options)</code> method is then called with the constructor's arguments, and returns the renderer. The built-in adapters are: <ul><li><code>canvas</code>: a canvas element, drawn with its 2D context</li><li><code>facade</code>: a Facade object</li><li><code>offscreen</code>: an <code>OffscreenCanvas</code> (for example, in a worker), drawn with its 2D context</li><li><code>null</code>: no stage at all, for servers and tests (headless mode)</li></ul>
+     * A renderer is an object with the following properties: <ul><li><code>mode</code>: a name for <code>Plastick.canvasMode</code></li><li><code>canvas</code> and <code>context</code>: the objects to expose as <code>Plastick.canvas</code> and <code>Plastick.context</code>, if any</li><li><code>width(ratio)</code> and <code>height(ratio)</code>: return the virtual size of the stage, given the current <code>Plastick.HDPIMode</code></li><li><code>setPixelRatio(ratio, width, height)</code>: resizes the drawing surface so that the virtual width and height are drawn at <code>ratio</code> pixels per virtual pixel</li><li><code>setDisplaySize(width, height, [left], [top])</code> (optional): sets the size and offset of the stage on the page, in CSS pixels, for <code>Plastick.setSizeMode()</code></li><li><code>scheduler</code> (optional): the default frame scheduler</li><li><code>drive(loop)</code> and <code>halt()</code> (optional): start and stop calling <code>loop</code> once per frame, for renderers that schedule their own frames</li><li><code>destroy()</code> (optional): releases the renderer's resources, from <code>Plastick.destroy()</code></li></ul>
+     *
+     * ```
+     * Plastick.renderers.pixi = {
+     *     test: function (stage) { return stage instanceof PIXI.Application; },
+     *     create: function (app) {
+     *         return {
+     *             mode: 'pixi',
+     *             canvas: app.view,
+     *             context: app.stage,
+     *             width: function () { return app.screen.width; },
+     *             height: function () { return app.screen.height; },
+     *             setPixelRatio: function (ratio, width, height) {
+     *                 app.renderer.resolution = ratio;
+     *                 app.renderer.resize(width, height);
+     *             }
+     *         };
+     *     }
+     * };
+     * ```
+     *
+     * @api public
+     */
+
+    Plastick.renderers = {
+        'null': {
+            test: function (stage) {
+                return !stage;
+            },
+            create: function (stage, options) {
+
+                var size = { width: options.width || 0, height: options.height || 0 };
+
+                return {
+                    mode: 'headless',
+                    scheduler: timeoutScheduler,
+                    width: function () { return size.width; },
+                    height: function () { return size.height; },
+                    setPixelRatio: function (ratio, width, height) {
+                        size.width = width;
+                        size.height = height;
+                    }
+                };
+            }
+        },
+        facade: {
+            test: function (stage) {
+                return !!stage && stage.getContext === undefined;
+            },
+            create: function (facade) {
+
+                var size = null;
+
+                return {
+                    mode: 'facade',
+                    facade: facade,
+                    canvas: facade.canvas,
+                    context: facade.context,
+                    width: function () { return size ? size.width : facade.width(); },
+                    height: function () { return size ? size.height : facade.height(); },
+                    setPixelRatio: function (ratio, width, height) {
+                        // resized directly rather than with Facade.resizeForHDPI(), which multiplies
+                        // whatever size the canvas already has: calling it again (from setHDPIMode()
+                        // or setSizeMode()) would compound the ratio, and it can not change the size
+                        resizeCanvas(facade.canvas, facade.context, ratio, width, height);
+                        size = { width: width, height: height };
+                    },
+                    setDisplaySize: function (width, height, left, top) {
+                        styleCanvas(facade.canvas, width, height, left, top);
+                    },
+                    drive: function (loop) {
+                        facade.draw(loop);
+                    },
+                    halt: function () {
+                        facade.stop();
+                    }
+                };
+            }
+        },
+        canvas: {
+            test: function (stage) {
+                return !!stage && stage.getContext !== undefined && !Plastick.renderers.offscreen.test(stage);
+            },
+            create: function (canvas) {
+
+                var context = canvas.getContext('2d');
+
+                return {
+                    mode: 'native canvas',
+                    canvas: canvas,
+                    context: context,
+                    width: function (ratio) { return canvas.width / ratio; },
+                    height: function (ratio) { return canvas.height / ratio; },
+                    setPixelRatio: function (ratio, width, height) {
+                        resizeCanvas(canvas, context, ratio, width, height);
+                        canvas.setAttribute('data-resized-for-hdpi', true);
+                    },
+                    setDisplaySize: function (width, height, left, top) {
+                        styleCanvas(canvas, width, height, left, top);
+                    }
+                };
+            }
+        },
+        offscreen: {
+            test: function (stage) {
+                return typeof OffscreenCanvas !== 'undefined' && stage instanceof OffscreenCanvas;
+            },
+            create: function (canvas) {
+
+                var context = canvas.getContext('2d');
+
+                return {
+                    mode: 'offscreen',
+                    canvas: canvas,
+                    context: context,
+                    scheduler: typeof requestAnimationFrame === 'function' ? animationFrameScheduler : timeoutScheduler,
+                    width: function (ratio) { return canvas.width / ratio; },
+                    height: function (ratio) { return canvas.height / ratio; },
+                    setPixelRatio: function (ratio, width, height) {
+                        resizeCanvas(canvas, context, ratio, width, height);
+                    }
+                };
+            }
+        }
+    };
+
+    // Plastick.catchUp /////////////////////////////////////////////////////////
+
+    /**
+     * Catch-up policies, which decide what happens when the game loop falls so far behind that a frame hits <code>Plastick.TICK_CHOKE</code>. Select one by name with <code>Plastick.catchUpPolicy</code>. Each policy is called with the Plastick object and the number of ticks that were left over, and returns the number of ticks it dropped (which is reported by the <code>lag</code> event).
+     *
+     * <ul><li><code>keep</code>: leave the backlog in place, so the game keeps trying to catch up on later frames (game time stays accurate, but a slow device can fall further and further behind)</li><li><code>drop</code>: drop the backlog, so game time jumps back to the last simulated tick</li><li><code>slow</code>: drop the backlog and slow game time down (on top of <code>Plastick.timeScale</code>) until the simulation keeps up, then let it recover gradually to full speed</li></ul>
+     *
+     * ```
+     * game.catchUpPolicy = 'slow';
+     * game.on('lag', function (dropped) {
+     *     if (dropped) console.log('Dropped ' + dropped + ' ticks');
+     * });
+     * ```
+     *
+     * @api public
+     */
+
+    Plastick.catchUp = {
+        keep: function () {
+            return 0;
+        },
+        drop: function (game) {
+            return game._dropBacklog();
+        },
+        slow: function (game, backlog) {
+            var factor = game.TICK_CHOKE / (game.TICK_CHOKE + backlog);
+
+            game._setLagScale(Math.max(MIN_LAG_SCALE, game._lagScale * factor));
+            return game._dropBacklog();
+        }
+    };
+
+    // Plastick.interpolators ///////////////////////////////////////////////////
+
+    /**
+     * Interpolation functions for the kinds of properties accepted by <code>Plastick.interpolate()</code>. Each one takes the value before the last tick, the value after it and an alpha value, and returns the blended value. Custom kinds can be added here.
+     *
+     * ```
+     * Plastick.interpolators.step = function (before, after, alpha) {
+     *     return alpha < 1 ? before : after;
+     * };
+     * ```
+     *
+     * @api public
+     */
+
+    Plastick.interpolators = {
+        number: lerp,
+        angle: function (before, after, alpha) {
+            var delta = ((after - before) % TAU + TAU * 1.5) % TAU - Math.PI;
+
+            return before + delta * alpha;
+        },
+        vector: function (before, after, alpha) {
+            var result = Array.isArray(after) ? [] : {},
+                key;
+
+            for (key in after) {
+                if (after.hasOwnProperty(key)) {
+                    result[key] = typeof after[key] === 'number' && typeof before[key] === 'number' ?
+                            lerp(before[key], after[key], alpha) : after[key];
+                }
+            }
+            return result;
+        },
+        color: function (before, after, alpha) {
+            var from = parseColor(before),
+                to = parseColor(after);
+
+            if (!from || !to) return after;
+            return 'rgba(' + Math.round(lerp(from[0], to[0], alpha)) + ', ' +
+                Math.round(lerp(from[1], to[1], alpha)) + ', ' +
+                Math.round(lerp(from[2], to[2], alpha)) + ', ' +
+                lerp(from[3], to[3], alpha) + ')';
+        }
+    };
+
+    // Plastick.MemoryStorage ///////////////////////////////////////////////////
+
+    /**
+     * A simple in-memory storage for snapshots, with the same methods as <code>window.localStorage</code>. It is used by default when <code>localStorage</code> is not available, and it can be passed to the Plastick constructor as the <code>storage</code> option (for example, in tests).
+     *
+     * ```
+     * var game = new Plastick(stage, { storage: new Plastick.MemoryStorage() });
+     * ```
+     *
+     * @return {Object} A new <code>Plastick.MemoryStorage</code> object.
+     * @api public
+     */
+
+    Plastick.MemoryStorage = function () {
+
+        this._items = {};
+    };
+
+    /**
+     * Returns the value stored under a key.
+     *
+     * @param {String} key The key to look up.
+     * @return {String} The stored value, or <code>null</code> if there is none.
+     * @api public
+     */
+
+    Plastick.MemoryStorage.prototype.getItem = function (key) {
+
+        return this._items.hasOwnProperty(key) ? this._items[key] : null;
+    };
+
+    /**
+     * Stores a value under a key.
+     *
+     * @param {String} key The key to store the value under.
+     * @param {String} value The value to store.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.MemoryStorage.prototype.setItem = function (key, value) {
+
+        this._items[key] = String(value);
+    };
+
+    /**
+     * Removes the value stored under a key.
+     *
+     * @param {String} key The key to remove.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.MemoryStorage.prototype.removeItem = function (key) {
+
+        delete this._items[key];
+    };
+
+    // Plastick.Transition /////////////////////////////////////////////////////
+
+    /**
+     * Draws part of a transition on a saved copy of the canvas context, so that any changes made by <code>setup</code> are undone afterwards. In headless mode, <code>draw</code> is simply called.
+     *
+     * @param {Object} game The Plastick object.
+     * @param {Function} setup Prepares the context (clipping, translation, etc).
+     * @param {Function} draw Draws a state.
+     * @return {void}
+     * @api private
+     */
+
+    function drawLayer(game, setup, draw) {
+
+        var context = game.context;
+
+        if (!context) {
+            draw();
+            return;
+        }
+        context.save();
+        setup(context);
+        draw();
+        context.restore();
+    }
+
+    /**
+     * Returns the unit vector for a transition direction.
+     *
+     * @param {String} direction One of <code>'left'</code>, <code>'right'</code>, <code>'up'</code> or <code>'down'</code>.
+     * @return {Object} An object with <code>x</code> and <code>y</code> properties.
+     * @api private
+     */
+
+    function directionVector(direction) {
+
+        if (direction === 'right') return { x: 1, y: 0 };
+        if (direction === 'up') return { x: 0, y: -1 };
+        if (direction === 'down') return { x: 0, y: 1 };
+        return { x: -1, y: 0 };
+    }
+
+    /**
+     * This represents an animated change between two game states, lasting a fixed number of ticks. It can be passed to <code>Plastick.pushState()</code>, <code>Plastick.changeState()</code> or <code>Plastick.popState()</code>, either directly or by a name registered with <code>Plastick.registerTransition()</code>. While a transition is running, neither state is updated; the transition's own <code>update()</code> callback is called once per tick instead, and its <code>draw()</code> callback is responsible for compositing the outgoing and incoming states. The default behavior is to draw only the incoming state.
+     *
+     * ```
+     * var spin = new Plastick.Transition(20);
+     * spin.draw(function (game, progress, drawFrom, drawTo) {
+     *     drawFrom();
+     *     game.context.save();
+     *     game.context.rotate((1 - progress) * Math.PI);
+     *     drawTo();
+     *     game.context.restore();
+     * });
+     * ```
+     *
+     * @param {Integer} [ticks] The length of the transition, in ticks. Defaults to 1.
+     * @property {Integer} ticks The length of the transition, in ticks.
+     * @return {Object} A new <code>Plastick.Transition</code> object.
+     * @api public
+     */
+
+    Plastick.Transition = function (ticks) {
+
+        this._update = function () { return undefined; };
+        this._draw = function (game, progress, drawFrom, drawTo) { drawTo(); };
+        this.ticks = ticks > 0 ? ticks : 1;
+    };
+
+    /**
+     * Registers a callback to the <code>update()</code> method. This method is called by Plastick once during each game tick of the transition, with the Plastick object and the progress of the transition (between 0.0 and 1.0).
+     *
+     * @param {Function} func The function to use for the <code>update()</code> callback.
+     * @return {Function} The function that was registered.
+     * @api public
+     */
+
+    Plastick.Transition.prototype.update = function (func) {
+
+        if (typeof func === 'function') { this._update = func; }
+        return this._update;
+    };
+
+    /**
+     * Registers a callback to the <code>draw()</code> method. This method is called by Plastick once before each canvas frame is drawn during the transition, with the Plastick object, the progress of the transition (between 0.0 and 1.0, interpolated with <code>Plastick.tickAlpha</code>), and two functions that draw the outgoing and incoming states.
+     *
+     * @param {Function} func The function to use for the <code>draw()</code> callback.
+     * @return {Function} The function that was registered.
+     * @api public
+     */
+
+    Plastick.Transition.prototype.draw = function (func) {
+
+        if (typeof func === 'function') { this._draw = func; }
+        return this._draw;
+    };
+
+    /**
+     * Creates a transition that fades the outgoing state out to a solid color, then fades the incoming state in from it.
+     *
+     * ```
+     * game.changeState(menuState, Plastick.Transition.fade(30));
+     * ```
+     *
+     * @param {Integer} [ticks] The length of the transition, in ticks.
+     * @param {String} [color] The color to fade through. Defaults to black.
+     * @return {Object} A new <code>Plastick.Transition</code> object.
+     * @api public
+     */
+
+    Plastick.Transition.fade = function (ticks, color) {
+
+        var transition = new Plastick.Transition(ticks);
+
+        transition.draw(function (game, progress, drawFrom, drawTo) {
+
+            var opacity = progress < 0.5 ? progress * 2 : (1 - progress) * 2;
+
+            if (progress < 0.5) drawFrom();
+            else drawTo();
+
+            drawLayer(game, function (context) {
+                context.globalAlpha = opacity;
+                context.fillStyle = color || '#000';
+            }, function () {
+                if (game.context) game.context.fillRect(0, 0, game.width(), game.height());
+            });
+        });
+        return transition;
+    };
+
+    /**
+     * Creates a transition that slides the incoming state onto the canvas, pushing the outgoing state off of it.
+     *
+     * ```
+     * game.pushState(inventoryState, Plastick.Transition.slide(15, 'up'));
+     * ```
+     *
+     * @param {Integer} [ticks] The length of the transition, in ticks.
+     * @param {String} [direction] The direction both states move in: <code>'left'</code> (default), <code>'right'</code>, <code>'up'</code> or <code>'down'</code>.
+     * @return {Object} A new <code>Plastick.Transition</code> object.
+     * @api public
+     */
+
+    Plastick.Transition.slide = function (ticks, direction) {
+
+        var transition = new Plastick.Transition(ticks),
+            vector = directionVector(direction);
+
+        transition.draw(function (game, progress, drawFrom, drawTo) {
+
+            var width = game.width(),
+                height = game.height();
+
+            drawLayer(game, function (context) {
+                context.translate(vector.x * width * progress, vector.y * height * progress);
+                context.beginPath();
+                context.rect(0, 0, width, height);
+                context.clip();
+            }, drawFrom);
+            drawLayer(game, function (context) {
+                context.translate(vector.x * width * (progress - 1), vector.y * height * (progress - 1));
+                context.beginPath();
+                context.rect(0, 0, width, height);
+                context.clip();
+            }, drawTo);
+        });
+        return transition;
+    };
+
+    /**
+     * Creates a transition that reveals the incoming state over the outgoing state with a moving edge.
+     *
+     * ```
+     * game.changeState(levelState, Plastick.Transition.wipe(20, 'right'));
+     * ```
+     *
+     * @param {Integer} [ticks] The length of the transition, in ticks.
+     * @param {String} [direction] The direction the edge moves in: <code>'left'</code> (default), <code>'right'</code>, <code>'up'</code> or <code>'down'</code>.
+     * @return {Object} A new <code>Plastick.Transition</code> object.
+     * @api public
+     */
+
+    Plastick.Transition.wipe = function (ticks, direction) {
+
+        var transition = new Plastick.Transition(ticks),
+            vector = directionVector(direction);
+
+        transition.draw(function (game, progress, drawFrom, drawTo) {
+
+            var width = game.width(),
+                height = game.height();
+
+            drawFrom();
+            drawLayer(game, function (context) {
+                var w = vector.x ? width * progress : width,
+                    h = vector.y ? height * progress : height;
+
+                context.beginPath();
+                context.rect(vector.x < 0 ? width - w : 0, vector.y < 0 ? height - h : 0, w, h);
+                context.clip();
+            }, drawTo);
+        });
+        return transition;
+    };
+
+    // Plastick.Tween //////////////////////////////////////////////////////////
+
+    /**
+     * Easing functions for use with <code>Plastick.tween()</code>. Each one maps the linear progress of a tween (between 0.0 and 1.0) to an eased progress. Custom easing functions can be added here, or passed to <code>Plastick.tween()</code> directly.
+     *
+     * @api public
+     */
+
+    Plastick.easing = {
+        linear: function (t) { return t; },
+        easeInQuad: function (t) { return t * t; },
+        easeOutQuad: function (t) { return t * (2 - t); },
+        easeInOutQuad: function (t) { return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t; },
+        easeInCubic: function (t) { return t * t * t; },
+        easeOutCubic: function (t) { return (t - 1) * (t - 1) * (t - 1) + 1; },
+        easeInOutCubic: function (t) { return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1; },
+        easeInSine: function (t) { return 1 - Math.cos(t * Math.PI / 2); },
+        easeOutSine: function (t) { return Math.sin(t * Math.PI / 2); },
+        easeInOutSine: function (t) { return (1 - Math.cos(t * Math.PI)) / 2; }
+    };
+
+    /**
+     * This represents an animation of an object's numeric properties over a number of game ticks. Tweens are created and started with <code>Plastick.tween()</code>, or chained to another tween with <code>Plastick.Tween.chain()</code>.
+     *
+     * @param {Object} game The Plastick object that advances the tween.
+     * @param {Object} target The object whose properties will be animated.
+     * @param {Object} props The final values of the properties to animate.
+     * @param {Object} [options] Settings for the tween (see <code>Plastick.tween()</code>).
+     * @property {Object} target The object whose properties are animated.
+     * @property {Object} from The values of the animated properties when the tween started.
+     * @property {Object} to The final values of the animated properties.
+     * @property {Integer} ticks The length of the tween, in ticks.
+     * @property {Integer} elapsed The number of ticks the tween has played for (since it last repeated).
+     * @property {Object} state The <code>Plastick.State</code> that owns the tween, or <code>null</code>.
+     * @return {Object} A new <code>Plastick.Tween</code> object.
+     * @api public
+     */
+
+    Plastick.Tween = function (game, target, props, options) {
+
+        var easing;
+
+        options = options || {};
+        easing = options.easing || 'linear';
+        // fail here, rather than in the middle of a tick
+        if (typeof easing !== 'function' && !Plastick.easing.hasOwnProperty(easing)) throw new Error('Unknown easing: ' + easing);
+
+        this.target = target;
+        this.from = {};
+        this.to = props;
+        this.ticks = options.ticks > 0 ? options.ticks : 1;
+        this.easing = typeof easing === 'function' ? easing : Plastick.easing[easing];
+        this.repeat = options.repeat || 0;
+        this.yoyo = !!options.yoyo;
+        this.state = options.state || null;
+        this.elapsed = 0;
+
+        this._game = game;
+        this._repeatsLeft = this.repeat;
+        this._reversed = false;
+        this._previous = {};
+        this._previousTick = null;
+        this._onComplete = [];
+        this._chained = [];
+
+        if (typeof options.onComplete === 'function') this._onComplete.push(options.onComplete);
+    };
+
+    /**
+     * Creates a tween that will start as soon as this one finishes, and returns it so that further tweens can be chained. The new tween belongs to the same state as this one, unless another state is given in its options.
+     *
+     * ```
+     * game.tween(door, { y: -64 }, { ticks: 20 }).chain(door, { y: 0 }, { ticks: 20 });
+     * ```
+     *
+     * @param {Object} target The object whose properties will be animated.
+     * @param {Object} props The final values of the properties to animate.
+     * @param {Object} [options] Settings for the tween (see <code>Plastick.tween()</code>).
+     * @return {Object} The chained <code>Plastick.Tween</code>.
+     * @api public
+     */
+
+    Plastick.Tween.prototype.chain = function (target, props, options) {
+
+        var settings = {},
+            key,
+            next;
+
+        options = options || {};
+        for (key in options) {
+            if (options.hasOwnProperty(key)) settings[key] = options[key];
+        }
+        if (settings.state === undefined) settings.state = this.state;
+
+        next = new Plastick.Tween(this._game, target, props, settings);
+        this._chained.push(next);
+        return next;
+    };
+
+    /**
+     * Registers a function to call when this tween finishes (after its last repeat). It is called with the Plastick object and the tween.
+     *
+     * @param {Function} func The function to call.
+     * @return {Object} This tween, for chaining.
+     * @api public
+     */
+
+    Plastick.Tween.prototype.onComplete = function (func) {
+
+        if (typeof func === 'function') this._onComplete.push(func);
+        return this;
+    };
+
+    /**
+     * Returns the value of an animated property for drawing, interpolated between the last two ticks with <code>Plastick.tickAlpha</code>.
+     *
+     * ```
+     * context.fillRect(shipTween.value('x'), shipTween.value('y'), 16, 16);
+     * ```
+     *
+     * @param {String} prop The name of the property.
+     * @return {Float} The interpolated value.
+     * @api public
+     */
+
+    Plastick.Tween.prototype.value = function (prop) {
+
+        if (this._previousTick !== this._game.currentTick || !this._previous.hasOwnProperty(prop)) {
+            return this.target[prop];
+        }
+        return this._game.lerp(this._previous[prop], this.target[prop]);
+    };
+
+    /**
+     * Captures the starting values of the animated properties.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Tween.prototype._start = function () {
+
+        var key;
+
+        for (key in this.to) {
+            if (this.to.hasOwnProperty(key)) this.from[key] = this.target[key];
+        }
+        this.elapsed = 0;
+    };
+
+    /**
+     * Advances the tween by one tick.
+     *
+     * @return {Boolean} This returns <code>true</code> if the tween has finished, otherwise it returns <code>false</code>.
+     * @api private
+     */
+
+    Plastick.Tween.prototype._update = function () {
+
+        var progress,
+            key;
+
+        this.elapsed += 1;
+        progress = this.easing(this._reversed ? 1 - this.elapsed / this.ticks : this.elapsed / this.ticks);
+        this._previousTick = this._game.currentTick;
+
+        for (key in this.to) {
+            if (this.to.hasOwnProperty(key)) {
+                this._previous[key] = this.target[key];
+                this.target[key] = this._game.lerp(this.from[key], this.to[key], progress);
+            }
+        }
+
+        if (this.elapsed < this.ticks) return false;
+        if (this._repeatsLeft > 0) {
+            this._repeatsLeft -= 1;
+            this.elapsed = 0;
+            if (this.yoyo) this._reversed = !this._reversed;
+            return false;
+        }
+        return true;
+    };
+
+    // Plastick.Input //////////////////////////////////////////////////////////
+
+    var GAMEPAD_BUTTONS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'Up', 'Down', 'Left', 'Right', 'Home'];
+
+    /**
+     * Returns the control name for a keyboard event.
+     *
+     * @param {Object} e The keyboard event.
+     * @return {String} The name of the key.
+     * @api private
+     */
+
+    function keyName(e) {
+
+        return e.code || e.key || String(e.keyCode);
+    }
+
+    /**
+     * This tracks the state of the keyboard, mouse, touch screen and gamepads. Every Plastick object creates one as <code>Plastick.input</code>. It only listens to the page once <code>Plastick.Input.attach()</code> is called, or while the game is running if the Plastick object was created with the <code>input</code> option, so that games (and other Plastick objects on the same page) that do not use it are left alone. Input is sampled once at the start of every game tick, so a key that is pressed and released between two ticks is still seen as held down for one tick.
+     *
+     * Controls are named as follows: keys by their <code>KeyboardEvent.code</code> (<code>'Space'</code>, <code>'KeyA'</code>, <code>'ArrowLeft'</code>, etc); mouse buttons as <code>'Mouse0'</code>, <code>'Mouse1'</code> and <code>'Mouse2'</code>; any touch as <code>'Touch'</code>; and gamepad buttons (in the standard mapping) as <code>'Pad:A'</code> for any gamepad or <code>'Pad0:A'</code> for a specific one. Named actions can be bound to any number of controls, and used anywhere a control name is accepted.
+     *
+     * ```
+     * game.input.bind('jump', ['Space', 'Pad:A']);
+     *
+     * levelState.update(function (game) {
+     *     if (game.input.wasPressedThisTick('jump')) player.jump();
+     * });
+     * ```
+     *
+     * @param {Object} game The Plastick object that samples the input.
+     * @property {Boolean} autoAttach If true, the input manager is attached when the game is started and detached when it is stopped. This is set by the <code>input</code> constructor option.
+     * @property {Object} bindings The controls bound to each action, by action name.
+     * @property {Object} pointer The position of the mouse or first touch, in canvas coordinates (see <code>Plastick.toCanvasPoint()</code>).
+     * @return {Object} A new <code>Plastick.Input</code> object.
+     * @api public
+     */
+
+    Plastick.Input = function (game) {
+
+        this.bindings = {};
+        this.pointer = { x: 0, y: 0 };
+
+        this._game = game;
+        this._raw = {};
+        this._pressed = {};
+        this._current = {};
+        this._previous = {};
+        this._gamepads = {};
+        this._listeners = [];
+    };
+
+    /**
+     * Binds controls to a named action, in addition to any controls already bound to it.
+     *
+     * ```
+     * game.input.bind('left', ['ArrowLeft', 'KeyA', 'Pad:Left']);
+     * ```
+     *
+     * @param {String} action The name of the action.
+     * @param {Array|String} controls The control, or list of controls, to bind.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Input.prototype.bind = function (action, controls) {
+
+        var bound = this.bindings[action] || [];
+
+        [].concat(controls).forEach(function (control) {
+            if (bound.indexOf(control) < 0) bound.push(control);
+        });
+        this.bindings[action] = bound;
+    };
+
+    /**
+     * Unbinds a control from a named action. If the control parameter is omitted, the action is removed entirely.
+     *
+     * ```
+     * // remap jump from Space to Enter
+     * game.input.unbind('jump', 'Space');
+     * game.input.bind('jump', 'Enter');
+     * ```
+     *
+     * @param {String} action The name of the action.
+     * @param {String} [control] The specific control to unbind.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Input.prototype.unbind = function (action, control) {
+
+        if (control === undefined) {
+            delete this.bindings[action];
+        } else if (this.bindings[action]) {
+            this.bindings[action] = this.bindings[action].filter(function (bound) {
+                return bound !== control;
+            });
+        }
+    };
+
+    /**
+     * Checks whether a control or action was held down during the current tick.
+     *
+     * @param {String} name The name of a control or action.
+     * @return {Boolean} True if the control (or any control bound to the action) is down.
+     * @api public
+     */
+
+    Plastick.Input.prototype.isDown = function (name) {
+
+        return this._isActive(name, this._current);
+    };
+
+    /**
+     * Checks whether a control or action went down at the start of the current tick, having been up during the previous tick.
+     *
+     * @param {String} name The name of a control or action.
+     * @return {Boolean} True if the control or action was pressed this tick.
+     * @api public
+     */
+
+    Plastick.Input.prototype.wasPressedThisTick = function (name) {
+
+        return this._isActive(name, this._current) && !this._isActive(name, this._previous);
+    };
+
+    /**
+     * Checks whether a control or action went up at the start of the current tick, having been down during the previous tick.
+     *
+     * @param {String} name The name of a control or action.
+     * @return {Boolean} True if the control or action was released this tick.
+     * @api public
+     */
+
+    Plastick.Input.prototype.wasReleasedThisTick = function (name) {
+
+        return !this._isActive(name, this._current) && this._isActive(name, this._previous);
+    };
+
+    /**
+     * Marks a control as pressed. This is called automatically for page events, but it can also be used to simulate input (for example, in headless mode or in tests).
+     *
+     * @param {String} control The name of the control.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Input.prototype.press = function (control) {
+
+        if (!this._raw[control]) this._pressed[control] = true;
+        this._raw[control] = true;
+        this._forward('press', control);
+    };
+
+    /**
+     * Marks a control as released. See <code>Plastick.Input.press()</code>.
+     *
+     * @param {String} control The name of the control.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Input.prototype.release = function (control) {
+
+        delete this._raw[control];
+        this._forward('release', control);
+    };
+
+    /**
+     * Releases every control. This is done automatically when the game freezes, so that keys do not get stuck while the page is hidden.
+     *
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Input.prototype.reset = function () {
+
+        this._raw = {};
+        this._pressed = {};
+        this._gamepads = {};
+        this._forward('reset');
+    };
+
+    /**
+     * Starts listening to the page for input. Keyboard events are taken from the document, and mouse and touch events from the passed element (or the document). This is called automatically by <code>Plastick.start()</code> when <code>Plastick.Input.autoAttach</code> is set. Page input goes through the recorder (see <code>Plastick.startRecording()</code>), and is ignored while a recording is being replayed.
+     *
+     * ```
+     * game.input.attach(game.canvas);
+     * ```
+     *
+     * @param {Object} [element] The element to track mouse and touch events on, usually the canvas.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Input.prototype.attach = function (element) {
+
+        var input = this;
+
+        if (!hasDocument || this._listeners.length) return;
+        element = element || document;
+
+        this._listen(document, 'keydown', function (e) { input._pageInput('press', keyName(e)); });
+        this._listen(document, 'keyup', function (e) { input._pageInput('release', keyName(e)); });
+        this._listen(element, 'mousedown', function (e) {
+            input._movePointer(e);
+            input._pageInput('press', 'Mouse' + e.button);
+        });
+        this._listen(document, 'mouseup', function (e) { input._pageInput('release', 'Mouse' + e.button); });
+        this._listen(element, 'mousemove', function (e) { input._movePointer(e); });
+        this._listen(element, 'touchstart', function (e) { input._touch(e); });
+        this._listen(element, 'touchmove', function (e) { input._touch(e); });
+        this._listen(element, 'touchend', function (e) { input._touch(e); });
+        this._listen(element, 'touchcancel', function (e) { input._touch(e); });
+        if (hasWindow) this._listen(window, 'blur', function () { input._pageInput('reset'); });
+    };
+
+    /**
+     * Stops listening to the page for input, and releases every control. This is called automatically by <code>Plastick.stop()</code> when <code>Plastick.Input.autoAttach</code> is set.
+     *
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Input.prototype.detach = function () {
+
+        this._listeners.forEach(function (listener) {
+            listener.element.removeEventListener(listener.type, listener.handler);
+        });
+        this._listeners = [];
+        this.reset();
+    };
+
+    /**
+     * Adds a page event listener and remembers it, so that it can be removed by <code>Plastick.Input.detach()</code>.
+     *
+     * @param {Object} element The object to listen to.
+     * @param {String} type The event to listen for.
+     * @param {Function} handler The callback function.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Input.prototype._listen = function (element, type, handler) {
+
+        element.addEventListener(type, handler);
+        this._listeners.push({
+            element: element,
+            type: type,
+            handler: handler
+        });
+    };
+
+    /**
+     * Updates the pointer position from a mouse event or touch point.
+     *
+     * @param {Object} point The mouse event or touch point.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Input.prototype._movePointer = function (point) {
+
+        this._pageInput('pointer', this._game.toCanvasPoint(point));
+    };
+
+    /**
+     * Updates the <code>'Touch'</code> control and the pointer position from a touch event.
+     *
+     * @param {Object} e The touch event.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Input.prototype._touch = function (e) {
+
+        if (e.touches.length) {
+            this._movePointer(e.touches[0]);
+            this._pageInput('press', 'Touch');
+        } else {
+            this._pageInput('release', 'Touch');
+        }
+    };
+
+    /**
+     * Takes in input from the page. It is recorded while the game is recording, and ignored while a recording is being replayed (see <code>Plastick.startRecording()</code>).
+     *
+     * @param {String} change What changed: <code>'press'</code>, <code>'release'</code>, <code>'reset'</code> or <code>'pointer'</code>.
+     * @param {String|Object} [value] The control, or the new pointer position.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Input.prototype._pageInput = function (change, value) {
+
+        var game = this._game;
+
+        if (game._replay) return;
+        if (game._recording) {
+            game._recording.push({
+                tick: game.currentTick,
+                input: change,
+                value: value
+            });
+        }
+        this._apply(change, value);
+    };
+
+    /**
+     * Applies a change to the input, from the page, a replayed recording or the main thread.
+     *
+     * @param {String} change What changed: <code>'press'</code>, <code>'release'</code>, <code>'reset'</code> or <code>'pointer'</code>.
+     * @param {String|Object} [value] The control, or the new pointer position.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Input.prototype._apply = function (change, value) {
+
+        if (change === 'press') {
+            this.press(value);
+        } else if (change === 'release') {
+            this.release(value);
+        } else if (change === 'reset') {
+            this.reset();
+        } else if (change === 'pointer') {
+            this.pointer = value;
+            this._forward('pointer', value);
+        }
+    };
+
+    /**
+     * Checks whether a control, or any control bound to an action, is down in a snapshot of the input.
+     *
+     * @param {String} name The name of a control or action.
+     * @param {Object} snapshot The sampled input to check.
+     * @return {Boolean} True if the control or action is down.
+     * @api private
+     */
+
+    Plastick.Input.prototype._isActive = function (name, snapshot) {
+
+        var controls = this.bindings.hasOwnProperty(name) ? this.bindings[name] : [name];
+
+        return controls.some(function (control) {
+            return snapshot[control] === true;
+        });
+    };
+
+    /**
+     * Samples the input at the start of a game tick. Controls that were pressed since the last sample count as down, even if they have already been released, and gamepads are polled.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Input.prototype._sample = function () {
+
+        var current = {},
+            key;
+
+        for (key in this._raw) {
+            if (this._raw.hasOwnProperty(key)) current[key] = true;
+        }
+        for (key in this._pressed) {
+            if (this._pressed.hasOwnProperty(key)) current[key] = true;
+        }
+        this._pressed = {};
+        this._sampleGamepads(current);
+
+        this._previous = this._current;
+        this._current = current;
+    };
+
+    /**
+     * Adds the pressed buttons of every connected gamepad to a snapshot of the input.
+     *
+     * @param {Object} snapshot The sampled input to add to.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Input.prototype._sampleGamepads = function (snapshot) {
+
+        var pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [],
+            i;
+
+        Array.prototype.forEach.call(pads, function (pad, index) {
+            if (!pad) return;
+            for (i = 0; i < pad.buttons.length && i < GAMEPAD_BUTTONS.length; i += 1) {
+                if (pad.buttons[i].pressed) {
+                    snapshot['Pad' + index + ':' + GAMEPAD_BUTTONS[i]] = true;
+                    snapshot['Pad:' + GAMEPAD_BUTTONS[i]] = true;
+                }
+            }
+        });
+    };
+
+    /**
+     * Sends a change of the input to the worker simulating the game, if there is one (see <code>Plastick.startWorker()</code>).
+     *
+     * @param {String} change What changed: <code>'press'</code>, <code>'release'</code>, <code>'reset'</code> or <code>'pointer'</code>.
+     * @param {String|Object} [value] The control, or the new pointer position.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Input.prototype._forward = function (change, value) {
+
+        this._game._postToWorker({ type: 'input', change: change, value: value });
+    };
+
+    /**
+     * Polls the gamepads on the main thread of a game simulated in a worker, where there are no ticks to sample them, and presses and releases their buttons as they change, so that they are forwarded to the worker.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Input.prototype._pollGamepads = function () {
+
+        var gamepads = {},
+            control;
+
+        this._sampleGamepads(gamepads);
+        for (control in this._gamepads) {
+            if (this._gamepads.hasOwnProperty(control) && !gamepads[control]) this.release(control);
+        }
+        for (control in gamepads) {
+            if (gamepads.hasOwnProperty(control) && !this._gamepads[control]) this.press(control);
+        }
+        this._gamepads = gamepads;
+    };
+
+    // Plastick.Loader /////////////////////////////////////////////////////////
+
+    /**
+     * Functions that load each type of asset accepted by <code>Plastick.load()</code>. Each one is called with the asset's description (with at least a <code>name</code>, a <code>url</code> and a <code>type</code>) and a callback, which it must call once with an error, or with <code>null</code> and the loaded asset. Custom types can be added here. The built-in types are: <ul><li><code>image</code>: an <code>Image</code> (set <code>crossOrigin</code> to load it with CORS)</li><li><code>audio</code>: an <code>AudioBuffer</code>, decoded with Web Audio</li><li><code>json</code>: the parsed JSON data</li><li><code>font</code>: a <code>FontFace</code>, added to <code>document.fonts</code> under the <code>family</code> name (which defaults to the asset name)</li></ul>
+     *
+     * ```
+     * Plastick.loaders.text = function (asset, done) {
+     *     fetch(asset.url).then(function (response) { return response.text(); })
+     *         .then(function (text) { done(null, text); }, done);
+     * };
+     * ```
+     *
+     * @api public
+     */
+
+    Plastick.loaders = {
+        image: function (asset, done) {
+
+            var image;
+
+            if (typeof Image === 'undefined') {
+                done(new Error('Can not load ' + asset.url + ' without Image support'));
+                return;
+            }
+            image = new Image();
+            if (asset.crossOrigin) image.crossOrigin = asset.crossOrigin;
+            image.onload = function () { done(null, image); };
+            image.onerror = function () { done(new Error('Failed to load ' + asset.url)); };
+            image.src = asset.url;
+        },
+        audio: function (asset, done) {
+            fetchURL(asset.url, 'arraybuffer', function (error, data) {
+
+                var context = audioContext(),
+                    decoding;
+
+                if (error) return done(error);
+                if (!context) return done(new Error('Can not decode ' + asset.url + ' without Web Audio support'));
+                decoding = context.decodeAudioData(data, function (buffer) {
+                    done(null, buffer);
+                }, function (e) {
+                    done(e || new Error('Failed to decode ' + asset.url));
+                });
+                // newer browsers also reject the promise they return, older ones return nothing
+                if (decoding && typeof decoding.catch === 'function') {
+                    decoding.catch(function (e) {
+                        done(e || new Error('Failed to decode ' + asset.url));
+                    });
+                }
+            });
+        },
+        json: function (asset, done) {
+            fetchURL(asset.url, 'text', function (error, text) {
+
+                var data;
+
+                if (error) return done(error);
+                try {
+                    data = JSON.parse(text);
+                } catch (e) {
+                    return done(e);
+                }
+                done(null, data);
+            });
+        },
+        font: function (asset, done) {
+
+            var face;
+
+            if (typeof FontFace === 'undefined' || !hasDocument || !document.fonts) {
+                done(new Error('Can not load ' + asset.url + ' without CSS Font Loading support'));
+                return;
+            }
+            face = new FontFace(asset.family || asset.name, 'url(' + asset.url + ')', asset.descriptors);
+            face.load().then(function () {
+                document.fonts.add(face);
+                done(null, face);
+            }, done);
+        }
+    };
+
+    /**
+     * This tracks the loading of a set of assets. Loaders are created and started with <code>Plastick.load()</code>. Callbacks can be registered with <code>onProgress()</code>, <code>onError()</code> and <code>onComplete()</code>, and are called with the Plastick object and the loader (followed by the name of the asset that just finished, or by the failure).
+     *
+     * @param {Object} game The Plastick object to cache the assets on.
+     * @param {Object|Array} manifest The assets to load (see <code>Plastick.load()</code>).
+     * @property {Object} assets The assets loaded by this loader, by name.
+     * @property {Array} failed The assets that could not be loaded, as objects with the <code>name</code>, <code>url</code> and <code>error</code> of each.
+     * @property {Integer} total The number of assets in the manifest.
+     * @property {Integer} loaded The number of assets that have been loaded.
+     * @return {Object} A new <code>Plastick.Loader</code> object.
+     * @api public
+     */
+
+    Plastick.Loader = function (game, manifest) {
+
+        var entries = [],
+            name;
+
+        if (Array.isArray(manifest)) {
+            manifest.forEach(function (asset) { entries.push(copyValue(asset)); });
+        } else {
+            for (name in manifest) {
+                if (manifest.hasOwnProperty(name)) {
+                    entries.push(typeof manifest[name] === 'string' ? { url: manifest[name] } : copyValue(manifest[name]));
+                    entries[entries.length - 1].name = name;
+                }
+            }
+        }
+        entries.forEach(function (entry) {
+            if (entry.type === undefined) entry.type = assetType(entry.url);
+        });
+
+        this.assets = {};
+        this.failed = [];
+        this.total = entries.length;
+        this.loaded = 0;
+
+        this._game = game;
+        this._entries = entries;
+        this._onProgress = [];
+        this._onError = [];
+        this._onComplete = [];
+    };
+
+    /**
+     * Returns how much of the manifest has finished loading (whether it succeeded or failed).
+     *
+     * @return {Float} A value between 0.0 and 1.0.
+     * @api public
+     */
+
+    Plastick.Loader.prototype.progress = function () {
+
+        return this.total ? (this.loaded + this.failed.length) / this.total : 1;
+    };
+
+    /**
+     * Used to check if every asset has finished loading (whether it succeeded or failed).
+     *
+     * @return {Boolean} This returns <code>true</code> once no assets are left to load.
+     * @api public
+     */
+
+    Plastick.Loader.prototype.isDone = function () {
+
+        return this.loaded + this.failed.length >= this.total;
+    };
+
+    /**
+     * Registers a function to call whenever an asset finishes loading, successfully or not. It is called with the Plastick object, the loader and the name of the asset.
+     *
+     * @param {Function} func The function to call.
+     * @return {Object} This loader, for chaining.
+     * @api public
+     */
+
+    Plastick.Loader.prototype.onProgress = function (func) {
+
+        if (typeof func === 'function') this._onProgress.push(func);
+        return this;
+    };
+
+    /**
+     * Registers a function to call whenever an asset fails to load. It is called with the Plastick object, the loader and an object with the <code>name</code>, <code>url</code> and <code>error</code> of the asset.
+     *
+     * @param {Function} func The function to call.
+     * @return {Object} This loader, for chaining.
+     * @api public
+     */
+
+    Plastick.Loader.prototype.onError = function (func) {
+
+        if (typeof func === 'function') this._onError.push(func);
+        return this;
+    };
+
+    /**
+     * Registers a function to call once every asset has finished loading (even if some of them failed; check <code>Plastick.Loader.failed</code>). It is called with the Plastick object and the loader. If loading has already finished, the function is called immediately.
+     *
+     * @param {Function} func The function to call.
+     * @return {Object} This loader, for chaining.
+     * @api public
+     */
+
+    Plastick.Loader.prototype.onComplete = function (func) {
+
+        if (typeof func !== 'function') return this;
+        if (this.isDone()) func(this._game, this);
+        else this._onComplete.push(func);
+        return this;
+    };
+
+    /**
+     * Starts loading every asset in the manifest.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Loader.prototype._start = function () {
+
+        var game = this._game;
+
+        this._entries.forEach(function (entry) {
+
+            var load = Plastick.loaders[entry.type],
+                loading = true,
+                result = null;
+
+            if (game.assets.hasOwnProperty(entry.name)) {
+                this._finish(entry, null, game.assets[entry.name]);
+            } else if (typeof load !== 'function') {
+                this._finish(entry, new Error('Unknown type of asset: ' + entry.url));
+            } else {
+                // only the loader is guarded: a result it passes back straight away is recorded once it
+                // has returned, so that errors thrown by the callbacks are not taken for its own
+                try {
+                    load(entry, (function (error, asset) {
+                        if (!loading) this._finish(entry, error, asset);
+                        else if (result === null) result = [entry, error, asset];
+                    }).bind(this));
+                } catch (e) {
+                    if (result === null) result = [entry, e];
+                }
+                loading = false;
+                if (result !== null) this._finish.apply(this, result);
+            }
+        }, this);
+    };
+
+    /**
+     * Records the result of loading an asset, and calls the registered callbacks.
+     *
+     * @param {Object} entry The asset's description.
+     * @param {Object} error The error, if the asset failed to load.
+     * @param {Object} [asset] The loaded asset.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Loader.prototype._finish = function (entry, error, asset) {
+
+        var game = this._game,
+            failure;
+
+        if (entry.done) return;
+        entry.done = true;
+
+        if (error) {
+            failure = { name: entry.name, url: entry.url, error: error };
+            this.failed.push(failure);
+            if (game._debugMode) {
+                game.debug('Failed to load ' + entry.name + ' (' + error.message + ')');
+            }
+            this._onError.forEach(function (callback) { callback(game, this, failure); }, this);
+        } else {
+            this.assets[entry.name] = asset;
+            game.assets[entry.name] = asset;
+            this.loaded += 1;
+        }
+        this._onProgress.forEach(function (callback) { callback(game, this, entry.name); }, this);
+        if (this.isDone()) {
+            this._onComplete.splice(0).forEach(function (callback) { callback(game, this); }, this);
+        }
+    };
+
+    /**
+     * Creates a state that loads a set of assets with <code>Plastick.load()</code> while drawing a progress bar, and then changes to another state once every asset has loaded. If any asset fails to load, the state changes to <code>options.failState</code> instead (with the failures passed to it as the <code>failed</code> parameter), or stays on the loading screen and lists the failed assets when there is no fail state.
+     *
+     * ```
+     * game.start(Plastick.State.loading(manifest, 'title', {
+     *     transition: Plastick.Transition.fade(15)
+     * }));
+     * ```
+     *
+     * @param {Object|Array} manifest The assets to load (see <code>Plastick.load()</code>).
+     * @param {Object|String} state The <code>Plastick.State</code> (or registered state name) to change to once loading has finished.
+     * @param {Object} [options] Optional settings: <code>name</code> (the loading state's name, which defaults to <code>'loading'</code>), <code>params</code> and <code>transition</code> (passed along to <code>Plastick.changeState()</code>), <code>failState</code>, and the <code>color</code> and <code>background</code> of the progress bar (white on black by default).
+     * @return {Object} A new <code>Plastick.State</code> object.
+     * @api public
+     */
+
+    Plastick.State.loading = function (manifest, state, options) {
+
+        var loadingState,
+            loader = null;
+
+        options = options || {};
+        loadingState = new Plastick.State(options.name || 'loading');
+
+        loadingState.init(function (game) {
+            // the callback runs immediately if every asset is already cached
+            loader = game.load(manifest).onComplete(function (game, finished) {
+                if (game.currentState() !== loadingState) return;
+                if (!finished.failed.length) {
+                    game.changeState(state, options.params, options.transition);
+                } else if (options.failState) {
+                    game.changeState(options.failState, { failed: finished.failed }, options.transition);
+                }
+            });
+        });
+
+        loadingState.cleanup(function () {
+            loader = null;
+        });
+
+        loadingState.draw(function (game) {
+
+            var context = game.context,
+                width = game.width(),
+                height = game.height(),
+                barWidth = Math.round(width / 2),
+                x = Math.round((width - barWidth) / 2),
+                y = Math.round(height / 2) - 4;
+
+            if (!context || !loader) return;
+
+            context.save();
+            context.fillStyle = options.background || '#000';
+            context.fillRect(0, 0, width, height);
+            context.fillStyle = context.strokeStyle = options.color || '#fff';
+            context.strokeRect(x + 0.5, y + 0.5, barWidth, 8);
+            context.fillRect(x + 2, y + 2, (barWidth - 3) * loader.progress(), 5);
+            if (loader.isDone() && loader.failed.length) {
+                context.textAlign = 'center';
+                context.textBaseline = 'top';
+                context.fillText('Failed to load ' + loader.failed.map(function (failure) {
+                    return failure.name;
+                }).join(', '), width / 2, y + 16);
+            }
+            context.restore();
+        });
+
+        return loadingState;
+    };
+
+    // Plastick.Audio //////////////////////////////////////////////////////////
+
+    /**
+     * This plays sounds and music with Web Audio. Every Plastick object creates one as <code>Plastick.audio</code>. Sounds can be owned by a <code>Plastick.State</code>, in which case they pause while the state is paused (when another state is pushed on top of it), resume with it, and stop when it is cleaned up. All sounds are paused while the game is frozen (for example while the page is hidden), and stopped when the game is stopped. Sounds follow <code>Plastick.timeScale</code> by default, so they slow down and speed up along with the game; music does not.
+     *
+     * The <code>AudioContext</code> is shared by every Plastick object (unless one is passed in with the <code>audioContext</code> constructor option), and is only created when the first sound is played (or the first audio asset is loaded). When Web Audio is not supported (for example, in Node), nothing is played.
+     *
+     * ```
+     * levelState.init(function (game) {
+     *     game.audio.playMusic('theme', { state: levelState });
+     * });
+     * levelState.update(function (game) {
+     *     if (player.jumped) game.audio.play('jump', { state: levelState });
+     * });
+     * ```
+     *
+     * @param {Object} game The Plastick object that owns the audio manager.
+     * @param {Object} [context] An <code>AudioContext</code> to use instead of the shared one.
+     * @property {Object} context The <code>AudioContext</code> sounds are played with, or <code>null</code> until a sound is first played.
+     * @property {Array} sounds The <code>Plastick.Sound</code> objects that are playing, paused or scheduled.
+     * @property {Object} music The <code>Plastick.Sound</code> played with <code>Plastick.Audio.playMusic()</code>, or <code>null</code>.
+     * @property {Float} volume The master volume of this game's sounds. Change this with <code>Plastick.Audio.setVolume()</code>.
+     * @return {Object} A new <code>Plastick.Audio</code> object.
+     * @api public
+     */
+
+    Plastick.Audio = function (game, context) {
+
+        this.context = null;
+        this.sounds = [];
+        this.music = null;
+        this.volume = 1;
+
+        this._game = game;
+        this._output = null;
+        this._context = context || null;
+    };
+
+    /**
+     * Plays a sound once (or on a loop). The sound is given as an <code>AudioBuffer</code>, or as the name of an audio asset loaded with <code>Plastick.load()</code>.
+     *
+     * ```
+     * // play exactly on the tick the bomb goes off
+     * game.audio.play('explosion', { tick: bomb.fuseTick, state: levelState });
+     * ```
+     *
+     * @param {Object|String} sound The <code>AudioBuffer</code>, or the name of the asset in <code>Plastick.assets</code>.
+     * @param {Object} [options] Optional settings: <code>state</code> (the <code>Plastick.State</code> that owns the sound), <code>loop</code>, <code>volume</code> (1 by default), <code>rate</code> (the playback rate, 1 by default), <code>scaled</code> (false to ignore <code>Plastick.timeScale</code>), <code>offset</code> (where to start in the sound, in seconds) and <code>tick</code> (a later game tick to start playing on, which counts down like a timer owned by <code>state</code>).
+     * @return {Object} A new <code>Plastick.Sound</code> object, or <code>null</code> if Web Audio is not supported or the sound is not loaded.
+     * @api public
+     */
+
+    Plastick.Audio.prototype.play = function (sound, options) {
+
+        var game = this._game,
+            buffer = typeof sound === 'string' ? game.assets[sound] : sound,
+            resuming,
+            playing;
+
+        options = options || {};
+        if (!buffer || !this._setup()) return null;
+        if (this.context.state === 'suspended') {
+            // resuming may be refused until the page has been interacted with; it is tried again on the next sound
+            resuming = this.context.resume();
+            if (resuming && typeof resuming.catch === 'function') resuming.catch(function () { return undefined; });
+        }
+
+        playing = new Plastick.Sound(this, buffer, options);
+        this.sounds.push(playing);
+        if (game.isFrozen()) playing._holds.freeze = true;
+        if (options.tick > game.currentTick) {
+            playing._holds.scheduled = true;
+            playing._timer = game.after(options.tick - game.currentTick, function () {
+                playing._release('scheduled');
+            }, playing.state);
+        }
+        playing._play();
+        return playing;
+    };
+
+    /**
+     * Plays a piece of music, stopping any music that is already playing. Music loops and ignores <code>Plastick.timeScale</code> by default.
+     *
+     * ```
+     * menuState.init(function (game) {
+     *     game.audio.playMusic('menu', { state: menuState, volume: 0.5 });
+     * });
+     * ```
+     *
+     * @param {Object|String} sound The <code>AudioBuffer</code>, or the name of the asset in <code>Plastick.assets</code>.
+     * @param {Object} [options] Optional settings (see <code>Plastick.Audio.play()</code>).
+     * @return {Object} A new <code>Plastick.Sound</code> object, or <code>null</code> if Web Audio is not supported or the music is not loaded.
+     * @api public
+     */
+
+    Plastick.Audio.prototype.playMusic = function (sound, options) {
+
+        var settings = copyValue(options || {});
+
+        if (settings.loop === undefined) settings.loop = true;
+        if (settings.scaled === undefined) settings.scaled = false;
+
+        this.stopMusic();
+        this.music = this.play(sound, settings);
+        return this.music;
+    };
+
+    /**
+     * Stops the music played with <code>Plastick.Audio.playMusic()</code>, if any.
+     *
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Audio.prototype.stopMusic = function () {
+
+        if (this.music) this.music.stop();
+        this.music = null;
+    };
+
+    /**
+     * Stops every sound, or every sound owned by a state.
+     *
+     * @param {Object} [state] If provided, only sounds owned by this <code>Plastick.State</code> are stopped.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Audio.prototype.stopAll = function (state) {
+
+        this.sounds.filter(function (sound) {
+            return state === undefined || sound.state === state;
+        }).forEach(function (sound) {
+            sound.stop();
+        });
+    };
+
+    /**
+     * Sets the master volume of this game's sounds.
+     *
+     * @param {Float} volume The volume, where 0 is silent and 1 is full volume.
+     * @return {void}
+     * @api public
+     */
+
+    Plastick.Audio.prototype.setVolume = function (volume) {
+
+        this.volume = volume;
+        if (this._output) this._output.gain.value = volume;
+    };
+
+    /**
+     * Connects the audio manager to the shared <code>AudioContext</code>, the first time it is needed.
+     *
+     * @return {Boolean} This returns <code>false</code> if Web Audio is not supported, otherwise it returns <code>true</code>.
+     * @api private
+     */
+
+    Plastick.Audio.prototype._setup = function () {
+
+        if (this._output) return true;
+
+        this.context = this._context || audioContext();
+        if (!this.context) return false;
+        this._output = this.context.createGain();
+        this._output.gain.value = this.volume;
+        this._output.connect(this.context.destination);
+        return true;
+    };
+
+    /**
+     * Pauses the sounds owned by a state, when the state is paused.
+     *
+     * @param {Object} state The <code>Plastick.State</code> that was paused.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Audio.prototype._pauseOwned = function (state) {
+
+        this.sounds.forEach(function (sound) {
+            if (sound.state === state) sound._hold('state');
+        });
+    };
+
+    /**
+     * Resumes the sounds owned by a state, when the state is resumed.
+     *
+     * @param {Object} state The <code>Plastick.State</code> that was resumed.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Audio.prototype._resumeOwned = function (state) {
+
+        this.sounds.slice().forEach(function (sound) {
+            if (sound.state === state) sound._release('state');
+        });
+    };
+
+    /**
+     * Pauses every sound for a reason.
+     *
+     * @param {String} reason Why the sounds are paused.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Audio.prototype._holdAll = function (reason) {
+
+        this.sounds.forEach(function (sound) {
+            sound._hold(reason);
+        });
+    };
+
+    /**
+     * Releases a reason for pausing every sound, resuming the sounds that have no other reason to stay paused.
+     *
+     * @param {String} reason The reason passed to <code>Plastick.Audio._holdAll()</code>.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Audio.prototype._releaseAll = function (reason) {
+
+        this.sounds.slice().forEach(function (sound) {
+            sound._release(reason);
+        });
+    };
+
+    /**
+     * Updates the playback rate of every sound after the time scale changes.
+     *
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Audio.prototype._rescale = function () {
+
+        this.sounds.slice().forEach(function (sound) {
+            sound._updateRate();
+        });
+    };
+
+    /**
+     * Forgets a sound that has stopped.
+     *
+     * @param {Object} sound The <code>Plastick.Sound</code> that stopped.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Audio.prototype._remove = function (sound) {
+
+        var index = this.sounds.indexOf(sound);
+
+        if (index !== -1) this.sounds.splice(index, 1);
+        if (this.music === sound) this.music = null;
+    };
+
+    /**
+     * This represents one playback of a sound. Sounds are created with <code>Plastick.Audio.play()</code>. A sound keeps its place while it is paused, whether it is paused with <code>pause()</code>, because its state is paused, or because the game is frozen; it only resumes once none of those reasons remain.
+     *
+     * @param {Object} audio The <code>Plastick.Audio</code> manager that plays the sound.
+     * @param {Object} buffer The <code>AudioBuffer</code> to play.
+     * @param {Object} [options] Settings for the sound (see <code>Plastick.Audio.play()</code>).
+     * @property {Object} buffer The <code>AudioBuffer</code> being played.
+     * @property {Object} state The <code>Plastick.State</code> that owns the sound, or <code>null</code>.
+     * @property {Boolean} loop Whether the sound loops.
+     * @property {Float} volume The volume of the sound. Change this with <code>Plastick.Sound.setVolume()</code>.
+     * @property {Float} rate The playback rate of the sound, before <code>Plastick.timeScale</code> is applied.
+     * @property {Boolean} scaled Whether the playback rate follows <code>Plastick.timeScale</code>.
+     * @return {Object} A new <code>Plastick.Sound</code> object.
+     * @api public
      */
 
-    Plastick.prototype.width = function () {
+    Plastick.Sound = function (audio, buffer, options) {
+
+        options = options || {};
+
+        this.buffer = buffer;
+        this.state = options.state || null;
+        this.loop = !!options.loop;
+        this.volume = options.volume === undefined ? 1 : options.volume;
+        this.rate = options.rate === undefined ? 1 : options.rate;
+        this.scaled = options.scaled !== false;
 
-        if (this.canvasMode === 'facade') this.facade.width();
-        else return this.canvas.width / this.HDPIMode;
+        this._audio = audio;
+        this._gain = audio.context.createGain();
+        this._gain.gain.value = this.volume;
+        this._gain.connect(audio._output);
+        this._source = null;
+        this._holds = {};
+        this._offset = options.offset || 0; // position in the buffer when playback last started, in seconds
+        this._startedAt = 0; // context time when playback last started
+        this._playingRate = 0;
+        this._timer = null;
+        this._stopped = false;
     };
 
     /**
-     * Returns the height of the canvas, independent of the HDPI mode. When using a Facade object, this should be equivalent to <code>Facade.height()</code>.
-     * @return {Float} The virtual height of the canvas.
+     * Stops the sound for good.
+     *
+     * @return {void}
+     * @api public
      */
 
-    Plastick.prototype.height = function () {
+    Plastick.Sound.prototype.stop = function () {
 
-        if (this.canvasMode === 'facade') this.facade.height();
-        else return this.canvas.height / this.HDPIMode;
+        if (this._stopped) return;
+
+        this._stopped = true;
+        this._halt();
+        this._gain.disconnect();
+        if (this._timer) this._audio._game.cancelTimer(this._timer);
+        this._audio._remove(this);
     };
 
     /**
-     * Toggles "debug mode". When debug mode is active, 1) calls to <code>Plastick.debug()</code> will output text to the console, 2) a global event is registered to the 'SHIFT + SPACE' key combo to call <code>Plastick.stop()</code>, and 3) state changes will be displayed with automatic <code>console.info()</code> calls.
-     *
-     * ```
-     * game.setDebug(true);
-     * ```
+     * Pauses the sound, keeping its place.
      *
+     * @return {void}
+     * @api public
      */
 
-    Plastick.prototype.setDebug = function (toggle) {
+    Plastick.Sound.prototype.pause = function () {
 
-        if (toggle === true && this._debugMode === false) {
-            this._debugMode = true;
-            document.addEventListener('keydown', this._debugStopGameEvent);
-        } else if (toggle === false && this._debugMode === true) {
-            this._debugMode = false;
-            document.removeEventListener('keydown', this._debugStopGameEvent);
-        }
+        this._hold('user');
     };
 
     /**
-     * Outputs a custom debug message with a Plastick timestamp, using <code>console.info()</code>. The message will be suppressed unless debug mode is enabled with <code>Plastick.setDebug(true)</code>.
-     *
-     * ```
-     * game.debug('Test message');
-     * ```
+     * Resumes a sound paused with <code>Plastick.Sound.pause()</code>. It only starts playing again if it has no other reason to stay paused.
      *
-     * @param {String} info Text to be output to the console.
+     * @return {void}
+     * @api public
      */
 
-    Plastick.prototype.debug = function (info) {
+    Plastick.Sound.prototype.resume = function () {
 
-        if (this._debugMode) console.info('Plastick (' + this.currentTick + ' @ ' +
-            (+this.gameTime() / 1000).toFixed(3) + 's): ' + info);
+        this._release('user');
     };
 
     /**
-     * Performs cleanup maintenance on a game that has been halted with <code>Plastick.stop()</code>.
+     * Used to check if the sound can currently be heard.
      *
-     * @return {true}
-     * @api private
+     * @return {Boolean} This returns <code>true</code> if the sound is playing, or <code>false</code> if it is paused, scheduled or stopped.
+     * @api public
      */
 
-    Plastick.prototype._cleanup = function () {
+    Plastick.Sound.prototype.isPlaying = function () {
 
-        while (this.states.length) {
-            this.popState();
-        }
-        return true;
+        return this._source !== null;
     };
 
     /**
-     * Freezes or unfreezes the game simulation (depending on the "blur" state of the web page when it's called). The example code shows how Plastick uses this method.
-     *
-     * ```
-     * document.addEventListener(visibilityChange, this._freeze.bind(this));
-     * ```
+     * Sets the volume of the sound.
      *
+     * @param {Float} volume The volume, where 0 is silent and 1 is full volume.
      * @return {void}
-     * @api private
+     * @api public
      */
 
-    Plastick.prototype._freeze = function () {
+    Plastick.Sound.prototype.setVolume = function (volume) {
 
-        // freeze game when window blurs
-        if (this.freezeOnBlur && document[hidden] && this.isRunning()) {
-            this._freezeStart = window.performance.now();
-            this._destroyEventListeners(this.currentState());
-        }
-        if (this.freezeOnBlur && !document[hidden] && this.isRunning()) {
-            this._freezeLength += window.performance.now() - this._freezeStart;
-            this._freezeStart = null;
-            this._createEventListeners(this.currentState());
-        }
+        this.volume = volume;
+        this._gain.gain.value = volume;
     };
 
     /**
-     * Creates event listeners registered to a game state.
+     * Returns the playback rate to use, including <code>Plastick.timeScale</code> if the sound is scaled.
      *
-     * @param {Object} state The <code>Plastick.State</code> that is now current.
-     * @return {void}
+     * @return {Float} The playback rate.
      * @api private
      */
 
-    Plastick.prototype._createEventListeners = function (state) {
+    Plastick.Sound.prototype._rate = function () {
 
-        state.listeners.forEach(function (listener) {
-            listener.element.addEventListener(listener.eventType, listener.callback);
-        });
+        return this.scaled ? this.rate * this._audio._game.timeScale : this.rate;
     };
 
     /**
-     * Removes event listeners registered to a game state.
+     * Returns the current position of playback in the buffer.
      *
-     * @param {Object} state The <code>Plastick.State</code> that was popped from the state stack.
-     * @return {void}
+     * @return {Float} The position, in seconds.
      * @api private
      */
 
-    Plastick.prototype._destroyEventListeners = function (state) {
+    Plastick.Sound.prototype._position = function () {
 
-        state.listeners.forEach(function (listener) {
-            listener.element.removeEventListener(listener.eventType, listener.callback);
-        });
+        var position = this._offset;
+
+        if (this._source) position += (this._audio.context.currentTime - this._startedAt) * this._playingRate;
+        return this.loop ? position % this.buffer.duration : position;
     };
 
     /**
-     * The main game loop. The game is simulated using a fixed time step design. <code>Plastick.State._update()</code> is called once per game tick, but several ticks could be simulated before the canvas is rendered with <code>Plastick.State._draw()</code>. Thus, the rate of the game tick simulation is decoupled from the canvas frame rate (which is governed by <code>requestAnimationFrame()</code>). If the simulation falls behind momentarily, it will try to catch up at a maximum rate of <code>Plastick.TICK_CHOKE</code> ticks per call. Below is Plastick's implementation of this game loop:
-     *
-     * ```
-     * function () {
-
-     *     var ticksUpdated = 0,
-     *         sameState = this.currentState();
-     *
-     *     this._frameTime = this.gameTime();
-     *     while (this._frameTime * this.TARGET_TPS / 1000 > this.currentTick &&
-     *             ticksUpdated < this.TICK_CHOKE &&
-     *             this._isRunning) {
-     *
-     *         this.currentTick += 1;
-     *         ticksUpdated += 1;
-     *         this.currentState()._update(this);
-     *         this.tickTime = this.gameTime();
-     *     }
-     *     // skip draw if game was stopped (no state on the stack!)
-     *     if (this._isRunning && this.currentState() === sameState) {
-     *         this.tickAlpha = this.gameTime() * this.TARGET_TPS / 1000 - this.currentTick + 1;
-     *         this.currentState()._draw(this);
-     *     }
-     * };
-     * ```
+     * Starts playback from the current position, unless the sound is stopped, paused or stalled by a time scale of 0.
      *
      * @return {void}
      * @api private
      */
 
-    Plastick.prototype._gameLoop = function () {
-
-        var ticksUpdated = 0,
-            sameState = this.currentState();
+    Plastick.Sound.prototype._play = function () {
 
-        this._frameTime = this.gameTime();
-        while (this._frameTime * this.TARGET_TPS / 1000 > this.currentTick &&
-                ticksUpdated < this.TICK_CHOKE &&
-                this._isRunning) {
+        var context = this._audio.context,
+            rate = this._rate(),
+            source;
 
-            this.currentTick += 1;
-            ticksUpdated += 1;
-            this.currentState()._update(this);
-            this.tickTime = this.gameTime();
-        }
-        // skip draw if game was stopped (no state on the stack!)
-        if (this._isRunning && this.currentState() === sameState) {
-            this.tickAlpha = this.gameTime() * this.TARGET_TPS / 1000 - this.currentTick + 1;
-            this.currentState()._draw(this);
+        if (this._stopped || this._source || Object.keys(this._holds).length || rate <= 0) return;
+        if (this._offset >= this.buffer.duration && !this.loop) {
+            this.stop();
+            return;
         }
-    };
 
-    Plastick.prototype._requestAnimationFrame = function() {
+        source = context.createBufferSource();
+        source.buffer = this.buffer;
+        source.loop = this.loop;
+        source.playbackRate.value = rate;
+        source.connect(this._gain);
+        source.onended = this._ended.bind(this);
+        source.start(0, this._offset);
 
-        this._gameLoop();
-        if (this._isRunning)
-            return window.requestAnimationFrame(this._requestAnimationFrame.bind(this));
+        this._source = source;
+        this._startedAt = context.currentTime;
+        this._playingRate = rate;
     };
 
-    // Plastick.State //////////////////////////////////////////////////////////
-
     /**
-     * This represents a game state (menu, pause screen, demo screen, etc). The default behavior for the six definable methods is to do nothing. The user can redefine each one by passing it a callback method.
-     *
-     * ```
-     * menuState = new State();
-     * ```
+     * Stops playback, remembering the current position.
      *
-     * @param {String} [name] A label for the new state (useful when debugging).
-     * @property {Object} data A generic object which the user can store any state-related data in.
-     * @property {Object} methods A generic object which the user can store any state-related methods in.
-     * @return {Object} A new <code>Plastick.State</code> object.
-     * @api public
+     * @return {void}
+     * @api private
      */
 
-    Plastick.State = function (name) {
+    Plastick.Sound.prototype._halt = function () {
 
-        this._init = function () { return undefined; };
-        this._cleanup = function () { return undefined; };
-        this._update = function () { return undefined; };
-        this._draw = function () { return undefined; };
-        this._pause = function () { return undefined; };
-        this._resume = function () { return undefined; };
-        this.name = name;
-        this.data = {};
-        this.methods = {};
-        this.listeners = [];
+        if (!this._source) return;
+
+        this._offset = this._position();
+        this._source.onended = null;
+        this._source.stop();
+        this._source.disconnect();
+        this._source = null;
     };
 
     /**
-     * This method allows the user to register an event listener with this state. All registered events are added to the page when this state is started or resumed, and they are removed from the page when this state is paused or finished.
-     *
-     * ```
-     * menuState.registerListener(document, 'click', function() {...});
-     * ```
+     * Pauses the sound for a reason.
      *
-     * @param {Object} element The object to register the listener for.
-     * @param {String} type The event to register the listener for.
-     * @param {Function} callback The callback function to register.
+     * @param {String} reason Why the sound is paused.
      * @return {void}
+     * @api private
      */
 
-    Plastick.State.prototype.registerListener = function (element, type, callback) {
+    Plastick.Sound.prototype._hold = function (reason) {
 
-        this.listeners.push({
-            element: element,
-            eventType: type,
-            callback: callback
-        });
+        this._holds[reason] = true;
+        this._halt();
     };
 
     /**
-     * This method allows the user to deregister an event listener with this state. If you want to deregister a specific callback, you _must_ pass in a reference of the same copy that was registered eariler. If the callback parameter is omitted, all callbacks linked to the specified element-event combination are deregistered.
-     *
-     * ```
-     * menuState.deregisterListener(document, 'click');
-     * ```
+     * Releases a reason for pausing the sound, and resumes it if no other reasons remain.
      *
-     * @param {Object} element The object to deregister the listener(s) for.
-     * @param {String} type The event to deregister the listener(s) for.
-     * @param {Function} [callback] The specific callback function to deregister.
+     * @param {String} reason The reason passed to <code>Plastick.Sound._hold()</code>.
      * @return {void}
-     * @api public
+     * @api private
      */
 
-    Plastick.State.prototype.deregisterListener = function (element, type, callback) {
+    Plastick.Sound.prototype._release = function (reason) {
 
-        var oldListeners;
+        if (!this._holds[reason]) return;
 
-        oldListeners = this.listeners.slice();
-        oldListeners.forEach(function (listener, index) {
-            if (listener.element === element && listener.eventType === type && (listener.callback === callback || callback === undefined)) {
-                this.listeners.splice(index, 1);
-            }
-        });
+        delete this._holds[reason];
+        if (reason === 'scheduled') this._timer = null;
+        this._play();
     };
 
     /**
-     * Registers a callback to the <code>init()</code> method. This method is called by Plastick whenever this state is added to the state stack.
-     *
-     * ```
-     * menuState.init(function() {...});
-     * ```
+     * Applies a change of <code>Plastick.timeScale</code> to the sound.
      *
-     * @param {Function} func The function to use for the <code>init()</code> callback.
-     * @return {Function} The function that was registered.
-     * @api public
+     * @return {void}
+     * @api private
      */
 
-    Plastick.State.prototype.init = function (func) {
+    Plastick.Sound.prototype._updateRate = function () {
 
-        if (typeof func === 'function') { this._init = func; }
-        return this._init;
+        var rate = this._rate();
+
+        if (!this._source) {
+            this._play();
+        } else if (rate <= 0) {
+            this._halt();
+        } else {
+            this._offset = this._position();
+            this._startedAt = this._audio.context.currentTime;
+            this._playingRate = rate;
+            this._source.playbackRate.value = rate;
+        }
     };
 
     /**
-     * Registers a callback to the <code>cleanup()</code> method. This method is called by Plastick whenever this state is removed from the state stack.
-     *
-     * ```
-     * menuState.cleanup(function() {...});
-     * ```
+     * Called when a sound that does not loop reaches its end.
      *
-     * @param {Function} func The function to use for the <code>cleanup()</code> callback.
-     * @return {Function} The function that was registered.
-     * @api public
+     * @return {void}
+     * @api private
      */
 
-    Plastick.State.prototype.cleanup = function (func) {
+    Plastick.Sound.prototype._ended = function () {
 
-        if (typeof func === 'function') { this._cleanup = func; }
-        return this._cleanup;
+        this._source = null;
+        this.stop();
     };
 
+    // Plastick.Stats //////////////////////////////////////////////////////////
+
     /**
-     * Registers a callback to the <code>update()</code> method. This method is called by Plastick once during each game tick. The passed callback should contain your main game loop, and as part of a fixed time step design it should always simulate a constant amount of game time. In order to maintain accurate timing in your game, Plastick may call this multiple times between each canvas frame.
-     *
-     * ```
-     * menuState.update(function() {...});
-     * ```
+     * This collects the performance measurements reported by <code>Plastick.stats()</code>, and draws the stats overlay. Every Plastick object creates one, which is reset whenever the game is started.
      *
-     * @param {Function} func The function to use for the <code>update()</code> callback.
-     * @return {Function} The function that was registered.
-     * @api public
+     * @param {Object} game The Plastick object being measured.
+     * @param {Function} clock Returns the current time in milliseconds. This is the real clock, even in manual mode, where <code>Plastick.clock</code> stands still.
+     * @property {Function} clock The clock that measurements are made with.
+     * @property {Integer} samples The number of recent frames (and of recent calls to each state's <code>update()</code> and <code>draw()</code>) to keep measurements for. Defaults to 120.
+     * @property {Boolean} overlay Whether the stats overlay is drawn (see <code>Plastick.showStats()</code>).
+     * @return {Object} A new <code>Plastick.Stats</code> object.
+     * @api private
      */
 
-    Plastick.State.prototype.update = function (func) {
+    Plastick.Stats = function (game, clock) {
 
-        if (typeof func === 'function') { this._update = func; }
-        return this._update;
+        this.clock = clock;
+        this.samples = 120;
+        this.overlay = false;
+
+        this._game = game;
+        this.reset();
     };
 
     /**
-     * Registers a callback to the <code>draw()</code> method. This method is called by Plastick once before each canvas frame is drawn. The passed callback should contain your rendering code. You do not need to call <code>requestAnimationFrame()</code>; this is done automatically by Plastick (or by Facade if it was passed to Plastick upon construction).
-     *
-     * ```
-     * menuState.draw(function() {
-     *     game.stage.clear();
-     *     for (var e = 0; e < entities.length; e += 1) {
-     *     }
-     * });
-     * ```
+     * Clears all measurements.
      *
-     * @param {Function} func The function to use for the <code>draw()</code> callback.
-     * @return {Function} The function that was registered.
-     * @api public
+     * @return {void}
+     * @api private
      */
 
-    Plastick.State.prototype.draw = function (func) {
+    Plastick.Stats.prototype.reset = function () {
 
-        if (typeof func === 'function') { this._draw = func; }
-        return this._draw;
+        this.frames = 0;
+        this.ticks = 0;
+        this.chokes = 0;
+
+        this._frames = [];
+        this._states = {};
+        this._lastFrame = null;
+        this._update = 0;
+        this._draw = 0;
     };
 
     /**
-     * Registers a callback to the <code>pause()</code> method. This method is called by Plastick when this state is the current state and is being suspended to begin simulation of a new state.
+     * Records the time spent in a state's <code>update()</code> or <code>draw()</code> callback.
      *
-     * ```
-     * menuState.pause(function() {...});
-     * ```
+     * @param {String} kind Either <code>'update'</code> or <code>'draw'</code>.
+     * @param {Object} state The <code>Plastick.State</code> that was updated or drawn.
+     * @param {Float} ms The time spent, in milliseconds.
+     * @return {void}
+     * @api private
+     */
+
+    Plastick.Stats.prototype._time = function (kind, state, ms) {
+
+        var name = String(state.name),
+            times = this._states[name] || (this._states[name] = { update: [], draw: [] });
+
+        this['_' + kind] += ms;
+        times[kind].push(ms);
+        if (times[kind].length > this.samples) times[kind].shift();
+    };
+
+    /**
+     * Records the end of a pass of the game loop.
      *
-     * @param {Function} func The function to use for the <code>pause()</code> callback.
-     * @return {Function} The function that was registered.
-     * @api public
+     * @param {Integer} ticks The number of ticks simulated during the frame.
+     * @param {Boolean} choked True if the frame hit <code>Plastick.TICK_CHOKE</code>.
+     * @return {void}
+     * @api private
      */
 
-    Plastick.State.prototype.pause = function (func) {
+    Plastick.Stats.prototype._endFrame = function (ticks, choked) {
 
-        if (typeof func === 'function') { this._pause = func; }
-        return this._pause;
+        var now = this.clock();
+
+        this._frames.push({
+            interval: this._lastFrame === null ? null : now - this._lastFrame,
+            ticks: ticks,
+            update: this._update,
+            draw: this._draw,
+            choked: choked
+        });
+        if (this._frames.length > this.samples) this._frames.shift();
+
+        this.frames += 1;
+        this.ticks += ticks;
+        if (choked) this.chokes += 1;
+        this._lastFrame = now;
+        this._update = 0;
+        this._draw = 0;
     };
 
     /**
-     * Registers a callback to the <code>resume()</code> method. This method is called by Plastick when this state is suspended and is resuming simulation as the current state.
+     * Summarizes the recent measurements. See <code>Plastick.stats()</code>.
      *
-     * ```
-     * menuState.resume(function() {...});
-     * ```
+     * @return {Object} The summary.
+     * @api private
+     */
+
+    Plastick.Stats.prototype.summary = function () {
+
+        var timed = this._frames.filter(function (frame) { return frame.interval > 0; }),
+            elapsed = 0,
+            timedTicks = 0,
+            states = {},
+            name;
+
+        timed.forEach(function (frame) {
+            elapsed += frame.interval;
+            timedTicks += frame.ticks;
+        });
+        for (name in this._states) {
+            if (this._states.hasOwnProperty(name)) {
+                states[name] = {
+                    update: summarize(this._states[name].update),
+                    draw: summarize(this._states[name].draw)
+                };
+            }
+        }
+
+        return {
+            fps: elapsed ? timed.length * 1000 / elapsed : 0,
+            tps: elapsed ? timedTicks * 1000 / elapsed : 0,
+            frameTime: summarize(timed.map(function (frame) { return frame.interval; })),
+            ticksPerFrame: summarize(this._frames.map(function (frame) { return frame.ticks; })),
+            update: summarize(this._frames.map(function (frame) { return frame.update; })),
+            draw: summarize(this._frames.map(function (frame) { return frame.draw; })),
+            states: states,
+            choked: this._frames.filter(function (frame) { return frame.choked; }).length,
+            frames: this.frames,
+            ticks: this.ticks,
+            chokes: this.chokes
+        };
+    };
+
+    /**
+     * Draws the stats overlay in the top left corner of the canvas. The graph is scaled so that its full height is one tick (at <code>Plastick.TARGET_TPS</code>).
      *
-     * @param {Function} func The function to use for the <code>resume()</code> callback.
-     * @return {Function} The function that was registered.
-     * @api public
+     * @param {Object} context The canvas context to draw into.
+     * @return {void}
+     * @api private
      */
 
-    Plastick.State.prototype.resume = function (func) {
+    Plastick.Stats.prototype.draw = function (context) {
 
-        if (typeof func === 'function') { this._resume = func; }
-        return this._resume;
+        var summary = this.summary(),
+            tickLength = 1000 / this._game.TARGET_TPS,
+            height = 40,
+            top = 30;
+
+        context.save();
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fillRect(0, 0, this.samples + 8, top + height + 4);
+        context.font = '10px monospace';
+        context.textBaseline = 'top';
+        context.fillStyle = '#fff';
+        context.fillText('FPS ' + summary.fps.toFixed(1) + '  TPS ' + summary.tps.toFixed(1), 4, 4);
+        context.fillText('upd ' + summary.update.p95.toFixed(1) + '  drw ' + summary.draw.p95.toFixed(1) + ' ms', 4, 16);
+
+        this._frames.forEach(function (frame, i) {
+            var x = 4 + i,
+                update = Math.min(height, frame.update / tickLength * height),
+                draw = Math.min(height - update, frame.draw / tickLength * height);
+
+            if (frame.choked) {
+                context.fillStyle = '#f44';
+                context.fillRect(x, top, 1, height);
+            }
+            context.fillStyle = '#48f';
+            context.fillRect(x, top + height - update, 1, update);
+            context.fillStyle = '#4c4';
+            context.fillRect(x, top + height - update - draw, 1, draw);
+        });
+        context.restore();
     };
 
     // AMD Support
@@ -774,8 +6091,10 @@
         define([], function () { return Plastick; });
     } else if (typeof module === 'object' && module.exports !== undefined) {
         module.exports = Plastick;
-    } else {
+    } else if (hasWindow) {
         window.Plastick = Plastick;
+    } else if (typeof self !== 'undefined') {
+        self.Plastick = Plastick; // in a worker
     }
 
 }());
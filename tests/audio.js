@@ -0,0 +1,101 @@
+describe('Audio', function () {
+
+    'use strict';
+
+    var game, context, level, pause, buffer, sources, refusals;
+
+    // an AudioContext whose sources record how they were played
+    function stubContext() {
+        function node() {
+            return { gain: { value: 1 }, connect: function () { return undefined; }, disconnect: function () { return undefined; } };
+        }
+
+        return {
+            state: 'suspended',
+            currentTime: 0,
+            destination: {},
+            createGain: node,
+            createBufferSource: function () {
+                var source = node();
+
+                source.playbackRate = { value: 1 };
+                source.start = function (when, offset) {
+                    this.offset = offset;
+                    sources.push(this);
+                };
+                source.stop = function () { this.stopped = true; };
+                return source;
+            },
+            // refused, as browsers do until the page has been interacted with
+            resume: function () {
+                return { catch: function (handler) { refusals.push(handler); } };
+            }
+        };
+    }
+
+    function playing() {
+        return sources.filter(function (source) { return !source.stopped; }).length;
+    }
+
+    beforeEach(function () {
+        sources = [];
+        refusals = [];
+        buffer = { duration: 10 };
+        context = stubContext();
+        game = new Plastick(null, { manual: true, audioContext: context });
+        level = new Plastick.State('level');
+        pause = new Plastick.State('pause');
+        game.start(level);
+    });
+
+    it('handles a refusal to resume a suspended context', function () {
+        expect(game.audio.play(buffer)).not.toBe(null);
+        expect(game.audio.context).toBe(context);
+        expect(refusals.length).toBe(1);
+        expect(refusals[0]).toEqual(jasmine.any(Function));
+    });
+
+    it('pauses the sounds owned by a state while it is paused, and resumes them where they were', function () {
+        var sound = game.audio.play(buffer, { state: level }),
+            other = game.audio.play(buffer);
+
+        context.currentTime = 2;
+        game.pushState(pause);
+        expect(sound.isPlaying()).toBe(false);
+        expect(other.isPlaying()).toBe(true);
+
+        context.currentTime = 5;
+        game.popState();
+        expect(sound.isPlaying()).toBe(true);
+        expect(sources[sources.length - 1].offset).toBe(2);
+    });
+
+    it('stops the sounds owned by a state when it is cleaned up, and every sound when the game stops', function () {
+        var sound = game.audio.play(buffer, { state: level });
+
+        game.audio.play(buffer);
+        game.changeState(pause);
+        expect(game.audio.sounds.indexOf(sound)).toBe(-1);
+        expect(playing()).toBe(1);
+        game.stop();
+        expect(game.audio.sounds).toEqual([]);
+        expect(playing()).toBe(0);
+    });
+
+    it('holds every sound while the game is frozen, including sounds played while frozen', function () {
+        var sound = game.audio.play(buffer, { state: level }),
+            later;
+
+        game.freeze();
+        later = game.audio.play(buffer);
+        expect(sound.isPlaying()).toBe(false);
+        expect(later.isPlaying()).toBe(false);
+
+        game.pushState(pause);
+        game.unfreeze();
+        expect(later.isPlaying()).toBe(true);
+        expect(sound.isPlaying()).toBe(false);
+        game.popState();
+        expect(sound.isPlaying()).toBe(true);
+    });
+});
@@ -0,0 +1,46 @@
+describe('Plastick.toCanvasPoint()', function () {
+
+    'use strict';
+
+    var game, canvas;
+
+    // a canvas element shown on the page at the given CSS size
+    function fakeCanvas(width, height, rect) {
+        return {
+            width: width,
+            height: height,
+            style: {},
+            getContext: function () {
+                return { setTransform: function () { return undefined; } };
+            },
+            setAttribute: function () { return undefined; },
+            getBoundingClientRect: function () { return rect; }
+        };
+    }
+
+    it('maps page coordinates to canvas coordinates', function () {
+        canvas = fakeCanvas(320, 180, { left: 10, top: 20, width: 320, height: 180 });
+        game = new Plastick(canvas, { manual: true });
+        expect(game.toCanvasPoint({ clientX: 110, clientY: 70 })).toEqual({ x: 100, y: 50 });
+    });
+
+    it('is unaffected by HDPI scaling of the drawing surface', function () {
+        canvas = fakeCanvas(320, 180, { left: 0, top: 0, width: 320, height: 180 });
+        game = new Plastick(canvas, { manual: true });
+        game.setHDPIMode(2);
+        expect(canvas.width).toBe(640);
+        expect(game.toCanvasPoint({ clientX: 160, clientY: 90 })).toEqual({ x: 160, y: 90 });
+    });
+
+    it('undoes CSS scaling of the canvas on the page', function () {
+        canvas = fakeCanvas(320, 180, { left: 40, top: 0, width: 960, height: 540 });
+        game = new Plastick(canvas, { manual: true });
+        expect(game.toCanvasPoint({ clientX: 340, clientY: 270 })).toEqual({ x: 100, y: 90 });
+    });
+
+    it('uses the first changed touch of a touch event', function () {
+        canvas = fakeCanvas(320, 180, { left: 0, top: 0, width: 640, height: 360 });
+        game = new Plastick(canvas, { manual: true });
+        expect(game.toCanvasPoint({ changedTouches: [{ clientX: 64, clientY: 36 }] })).toEqual({ x: 32, y: 18 });
+    });
+});
@@ -0,0 +1,95 @@
+describe('Catch-up policies', function () {
+
+    'use strict';
+
+    var game, state, now, nextFrame, updates, lags,
+        // frames run when the spec calls frame(), with the clock it has moved
+        scheduler = {
+            request: function (callback) { nextFrame = callback; return 1; },
+            cancel: function () { nextFrame = null; }
+        };
+
+    function frame(ms) {
+        var before = updates;
+
+        now += ms;
+        nextFrame();
+        return updates - before;
+    }
+
+    beforeEach(function () {
+        now = 1000;
+        updates = 0;
+        lags = [];
+        game = new Plastick(null, { clock: function () { return now; }, scheduler: scheduler });
+        game.TICK_CHOKE = 5;
+        game.on('lag', function (dropped, backlog) { lags.push([dropped, backlog]); });
+        state = new Plastick.State('level');
+        state.update(function () { updates += 1; });
+        game.start(state);
+    });
+
+    afterEach(function () {
+        game.stop();
+    });
+
+    it('does not emit lag while the game keeps up', function () {
+        expect(frame(100)).toBe(3);
+        expect(lags).toEqual([]);
+    });
+
+    it('keeps the backlog by default, and catches up over the following frames', function () {
+        expect(frame(400)).toBe(5);
+        expect(lags).toEqual([[0, 7]]);
+        expect(frame(0)).toBe(5);
+        expect(frame(0)).toBe(2);
+        expect(game.currentTick).toBe(12);
+    });
+
+    it('drops the backlog with the drop policy', function () {
+        game.catchUpPolicy = 'drop';
+        expect(frame(400)).toBe(5);
+        expect(lags).toEqual([[7, 7]]);
+        expect(frame(0)).toBe(0);
+        expect(game.gameTime()).toBeCloseTo(500 / 3, 6);
+    });
+
+    it('drops the backlog and slows game time down with the slow policy', function () {
+        game.catchUpPolicy = 'slow';
+        expect(frame(400)).toBe(5);
+        expect(lags).toEqual([[7, 7]]);
+        // game time now runs at 5 / (5 + 7) of real time
+        now += 300;
+        expect(game.gameTime()).toBeCloseTo(500 / 3 + 125, 6);
+    });
+
+    it('lets game time recover from the slow policy once frames keep up', function () {
+        var before, i;
+
+        game.catchUpPolicy = 'slow';
+        frame(400);
+        for (i = 0; i < 100; i += 1) frame(10);
+        before = game.gameTime();
+        now += 100;
+        expect(game.gameTime() - before).toBeCloseTo(100, 6);
+    });
+
+    it('calls a custom policy with the backlog, and reports the ticks it dropped', function () {
+        var seen = [];
+
+        game.catchUpPolicy = function (g, backlog) {
+            seen.push(backlog);
+            return 2;
+        };
+        frame(400);
+        expect(seen).toEqual([7]);
+        expect(lags).toEqual([[2, 7]]);
+    });
+
+    it('throws for a policy name that is not in Plastick.catchUp', function () {
+        game.catchUpPolicy = 'skip';
+        expect(function () { frame(400); }).toThrowError('Unknown catch-up policy: skip');
+        game.catchUpPolicy = 'toString';
+        expect(function () { frame(400); }).toThrowError('Unknown catch-up policy: toString');
+    });
+});
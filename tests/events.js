@@ -0,0 +1,70 @@
+describe('Game events', function () {
+
+    'use strict';
+
+    var game, level, pause, calls;
+
+    function record(name) {
+        return function () { calls.push(name); };
+    }
+
+    beforeEach(function () {
+        calls = [];
+        game = new Plastick(null, { manual: true });
+        level = new Plastick.State('level');
+        pause = new Plastick.State('pause');
+    });
+
+    it('only calls state subscriptions while the state is current', function () {
+        level.subscribe('score', record('level'));
+        game.start(level);
+        game.emit('score');
+        game.pushState(pause);
+        game.emit('score');
+        game.popState();
+        game.emit('score');
+        expect(calls).toEqual(['level', 'level']);
+    });
+
+    it('leaves game subscriptions of the same callback in place when a state is paused', function () {
+        var callback = record('score');
+
+        game.on('score', callback);
+        level.subscribe('score', callback);
+        game.start(level);
+        game.pushState(pause);
+        game.emit('score');
+        expect(calls).toEqual(['score']);
+    });
+
+    it('deactivates a subscription removed from the current state', function () {
+        var callback = record('score');
+
+        level.subscribe('score', callback);
+        game.start(level);
+        level.unsubscribe('score', callback);
+        game.emit('score');
+        expect(calls).toEqual([]);
+    });
+
+    it('lets the current state hear both freeze and unfreeze', function () {
+        level.subscribe('freeze', record('freeze'));
+        level.subscribe('unfreeze', record('unfreeze'));
+        game.start(level);
+        game.freeze('modal');
+        game.emit('score');
+        game.unfreeze('modal');
+        expect(calls).toEqual(['freeze', 'unfreeze']);
+    });
+
+    it('emits lifecycle events', function () {
+        ['start', 'statepush', 'statepop', 'stop'].forEach(function (type) {
+            game.on(type, record(type));
+        });
+        game.start(level);
+        game.pushState(pause);
+        game.popState();
+        game.stop();
+        expect(calls).toEqual(['start', 'statepush', 'statepop', 'statepop', 'stop']);
+    });
+});
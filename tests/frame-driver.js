@@ -0,0 +1,44 @@
+describe('Games sharing a frame scheduler', function () {
+
+    'use strict';
+
+    var now, nextFrame, first, second, ticks,
+        scheduler = {
+            request: function (callback) { nextFrame = callback; return 1; },
+            cancel: function () { nextFrame = null; }
+        };
+
+    function game(name) {
+        var g = new Plastick(null, { clock: function () { return now; }, scheduler: scheduler }),
+            state = new Plastick.State(name);
+
+        state.update(function () { ticks.push(name); });
+        g.start(state);
+        return g;
+    }
+
+    beforeEach(function () {
+        now = 1000;
+        nextFrame = null;
+        ticks = [];
+        first = game('first');
+        second = game('second');
+    });
+
+    afterEach(function () {
+        first.stop();
+        second.stop();
+    });
+
+    it('runs the other games and schedules the next frame when one of them throws', function () {
+        var frame;
+
+        first.currentState().update(function () { throw new Error('broken'); });
+        now += 20;
+        frame = nextFrame;
+        nextFrame = null;
+        expect(frame).toThrowError('broken');
+        expect(ticks).toEqual(['second']);
+        expect(nextFrame).toBe(frame);
+    });
+});
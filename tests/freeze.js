@@ -0,0 +1,88 @@
+describe('Freezing', function () {
+
+    'use strict';
+
+    var now, nextFrame, game, log,
+        scheduler = {
+            request: function (callback) { nextFrame = callback; return 1; },
+            cancel: function () { nextFrame = null; }
+        };
+
+    // moves the clock on and runs the frame that was scheduled
+    function frame(ms) {
+        now += ms;
+        nextFrame();
+    }
+
+    beforeEach(function () {
+        var state = new Plastick.State('level');
+
+        now = 1000;
+        nextFrame = null;
+        log = [];
+        state.update(function () { log.push('update'); });
+        state.draw(function (g) { log.push('draw ' + g.tickAlpha.toFixed(2)); });
+        game = new Plastick(null, { clock: function () { return now; }, scheduler: scheduler });
+        game.start(state);
+    });
+
+    afterEach(function () {
+        game.stop();
+    });
+
+    it('stays frozen until every freeze has been released for its own reason', function () {
+        expect(game.freeze('modal')).toBe(true);
+        expect(game.freeze('modal')).toBe(false);
+        expect(game.freeze('ad')).toBe(false);
+        expect(game.freezeReasons()).toEqual(['modal', 'ad']);
+
+        expect(game.unfreeze('blur')).toBe(false);
+        expect(game.unfreeze('modal')).toBe(false);
+        expect(game.unfreeze('ad')).toBe(false);
+        expect(game.isFrozen('ad')).toBe(false);
+        expect(game.isFrozen('modal')).toBe(true);
+        expect(game.unfreeze('modal')).toBe(true);
+        expect(game.isFrozen()).toBe(false);
+        expect(game.unfreeze('modal')).toBe(false);
+    });
+
+    it('holds game time still while frozen, and resumes without catching up', function () {
+        var time;
+
+        frame(100);
+        time = game.gameTime();
+        game.freeze('modal');
+        game.freeze();
+        frame(1000);
+        game.unfreeze('modal');
+        frame(1000);
+        expect(game.gameTime()).toBe(time);
+        expect(game.currentTick).toBe(3);
+
+        game.unfreeze();
+        frame(100);
+        expect(game.gameTime()).toBe(time + 100);
+        expect(game.currentTick).toBe(6);
+    });
+
+    it('does not draw while frozen by default', function () {
+        frame(50);
+        game.freeze();
+        log = [];
+        frame(50);
+        expect(log).toEqual([]);
+        game.unfreeze();
+        frame(20);
+        expect(log).toEqual(['update', 'draw 0.10']);
+    });
+
+    it('keeps drawing with tickAlpha held still when drawWhileFrozen is set', function () {
+        game.drawWhileFrozen = true;
+        frame(50);
+        game.freeze();
+        log = [];
+        frame(50);
+        frame(50);
+        expect(log).toEqual(['draw 0.50', 'draw 0.50']);
+    });
+});
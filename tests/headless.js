@@ -0,0 +1,74 @@
+describe('Headless mode', function () {
+
+    'use strict';
+
+    it('runs without a stage', function () {
+        var game = new Plastick(null, { manual: true, width: 320, height: 180 });
+
+        expect(game.canvasMode).toBe('headless');
+        expect(game.canvas).toBe(null);
+        expect(game.context).toBe(null);
+        expect(game.width()).toBe(320);
+        expect(game.height()).toBe(180);
+        expect(game.start(new Plastick.State())).toBe(true);
+        expect(game.step(2)).toBe(2);
+    });
+
+    it('keeps time with an injected clock and frame scheduler', function () {
+        var now = 0,
+            frames = [],
+            updates = 0,
+            state = new Plastick.State(),
+            game = new Plastick(null, {
+                clock: function () { return now; },
+                scheduler: {
+                    request: function (callback) { frames.push(callback); return frames.length; },
+                    cancel: function () { frames = []; }
+                }
+            });
+
+        state.update(function () { updates += 1; });
+        game.start(state);
+        expect(frames.length).toBe(1);
+
+        now = 100;
+        frames.shift()();
+        expect(updates).toBe(3);
+        expect(game.gameTime()).toBe(100);
+        expect(frames.length).toBe(1);
+
+        game.stop();
+        expect(frames.length).toBe(0);
+    });
+
+    it('freezes while an injected visibility source reports the page as hidden', function () {
+        var listener = null,
+            isHidden = false,
+            game = new Plastick(null, {
+                manual: true,
+                visibility: {
+                    isHidden: function () { return isHidden; },
+                    listen: function (callback) { listener = callback; },
+                    unlisten: function () { listener = null; }
+                }
+            });
+
+        game.start(new Plastick.State());
+        isHidden = true;
+        listener();
+        expect(game.isFrozen('blur')).toBe(true);
+        expect(game.step(1)).toBe(0);
+
+        isHidden = false;
+        listener();
+        expect(game.isFrozen()).toBe(false);
+        game.destroy();
+        expect(listener).toBe(null);
+    });
+
+    it('throws for an unknown renderer name', function () {
+        expect(function () {
+            return new Plastick(null, { renderer: 'webgl' });
+        }).toThrowError('Unknown renderer: webgl');
+    });
+});
@@ -0,0 +1,61 @@
+describe('Plastick.Input', function () {
+
+    'use strict';
+
+    var game, level, seen;
+
+    beforeEach(function () {
+        game = new Plastick(null, { manual: true });
+        level = new Plastick.State('level');
+        seen = [];
+        level.update(function (g) {
+            seen.push([g.input.isDown('jump'), g.input.wasPressedThisTick('jump'), g.input.wasReleasedThisTick('jump')]);
+        });
+        game.input.bind('jump', ['Space', 'Pad:A']);
+        game.start(level);
+    });
+
+    it('samples input once per tick', function () {
+        game.input.press('Space');
+        game.step(2);
+        game.input.release('Space');
+        game.step(2);
+        expect(seen).toEqual([
+            [true, true, false],
+            [true, false, false],
+            [false, false, true],
+            [false, false, false]
+        ]);
+    });
+
+    it('does not lose a press that is shorter than a tick', function () {
+        game.input.press('Space');
+        game.input.release('Space');
+        game.step(2);
+        expect(seen).toEqual([[true, true, false], [false, false, true]]);
+    });
+
+    it('can remap actions', function () {
+        game.input.unbind('jump', 'Space');
+        game.input.bind('jump', 'Enter');
+        game.input.press('Space');
+        game.step(1);
+        game.input.press('Enter');
+        game.step(1);
+        expect(seen).toEqual([[false, false, false], [true, true, false]]);
+    });
+
+    it('releases every control when the game freezes, even with every freeze callback removed', function () {
+        game.input.press('Space');
+        game.off('freeze');
+        game.freeze();
+        game.unfreeze();
+        game.step(1);
+        expect(seen).toEqual([[false, false, false]]);
+    });
+
+    it('only listens to the page when asked to', function () {
+        expect(game.input.autoAttach).toBe(false);
+        expect(new Plastick(null, { input: true }).input.autoAttach).toBe(true);
+    });
+});
@@ -0,0 +1,38 @@
+describe('Interpolation', function () {
+
+    'use strict';
+
+    var game, level;
+
+    beforeEach(function () {
+        game = new Plastick(null, { manual: true });
+        level = new Plastick.State('level');
+        game.start(level);
+    });
+
+    it('blends the values before and after the last tick', function () {
+        var ship = { x: 0 };
+
+        level.update(function () { ship.x += 10; });
+        game.interpolate(ship, ['x'], level);
+        game.step(1);
+        game.tickAlpha = 0.25;
+        expect(game.interpolated(ship, 'x')).toBe(2.5);
+    });
+
+    it('throws for an unknown kind of property', function () {
+        expect(function () {
+            game.interpolate({ x: 0 }, { x: 'nope' });
+        }).toThrowError('Unknown interpolator: nope');
+    });
+
+    it('returns the current value of a property that had no value before the last tick', function () {
+        var ship = {};
+
+        game.interpolate(ship, { position: 'vector' }, level);
+        level.update(function () { ship.position = { x: 4, y: 8 }; });
+        game.step(1);
+        game.tickAlpha = 0.5;
+        expect(game.interpolated(ship, 'position')).toEqual({ x: 4, y: 8 });
+    });
+});
@@ -0,0 +1,62 @@
+describe('Stacked states', function () {
+
+    'use strict';
+
+    var game, log, level, hud, dialog;
+
+    function named(name) {
+        var state = new Plastick.State(name);
+
+        state.update(function () { log.push('update ' + name); });
+        state.draw(function () { log.push('draw ' + name); });
+        return state;
+    }
+
+    beforeEach(function () {
+        log = [];
+        game = new Plastick(null, { manual: true });
+        level = named('level');
+        hud = named('hud');
+        dialog = named('dialog');
+        game.start(level);
+        game.pushState(hud);
+        game.pushState(dialog);
+        log = [];
+    });
+
+    it('draws and updates only the current state by default', function () {
+        game.step(1);
+        expect(log).toEqual(['update dialog', 'draw dialog']);
+    });
+
+    it('draws the states beneath transparent states from the bottom up', function () {
+        dialog.transparent = true;
+        hud.transparent = true;
+        game.step(1);
+        expect(log).toEqual(['update dialog', 'draw level', 'draw hud', 'draw dialog']);
+    });
+
+    it('stops drawing at the first opaque state', function () {
+        dialog.transparent = true;
+        game.step(1);
+        expect(log).toEqual(['update dialog', 'draw hud', 'draw dialog']);
+    });
+
+    it('updates the states beneath states that pass updates through, from the bottom up', function () {
+        dialog.passthroughUpdate = true;
+        hud.passthroughUpdate = true;
+        game.step(1);
+        expect(log).toEqual(['update level', 'update hud', 'update dialog', 'draw dialog']);
+    });
+
+    it('applies a change requested by a lower layer once every layer has been updated', function () {
+        dialog.passthroughUpdate = true;
+        hud.update(function (g) {
+            log.push('update hud');
+            g.popState();
+        });
+        game.step(1);
+        expect(log).toEqual(['update hud', 'update dialog']);
+        expect(game.currentState()).toBe(hud);
+    });
+});
@@ -0,0 +1,133 @@
+describe('Loading assets', function () {
+
+    'use strict';
+
+    var game, pending, errors;
+
+    beforeEach(function () {
+        game = new Plastick(null, { manual: true });
+        pending = [];
+        errors = [];
+        // answers when the spec calls finish(), or straight away for urls that start with 'now:'
+        Plastick.loaders.spec = function (asset, done) {
+            if (asset.url === 'throws') throw new Error('broken loader');
+            if (asset.url.indexOf('now:') === 0) done(null, asset.url.slice(4));
+            else pending.push({ url: asset.url, done: done });
+        };
+    });
+
+    afterEach(function () {
+        delete Plastick.loaders.spec;
+    });
+
+    function finish(error) {
+        var next = pending.shift();
+
+        next.done(error || null, error ? undefined : 'loaded ' + next.url);
+    }
+
+    function manifest() {
+        return {
+            hero: { url: 'hero', type: 'spec' },
+            level: { url: 'level', type: 'spec' }
+        };
+    }
+
+    it('caches assets by name as they arrive, and reports progress and completion', function () {
+        var progress = [],
+            completed = 0,
+            loader = game.load(manifest(), {
+                onProgress: function (g, l, name) { progress.push([name, l.progress()]); },
+                onComplete: function () { completed += 1; }
+            });
+
+        expect(loader.progress()).toBe(0);
+        finish();
+        expect(game.assets.hero).toBe('loaded hero');
+        expect(completed).toBe(0);
+        finish();
+        expect(progress).toEqual([['hero', 0.5], ['level', 1]]);
+        expect(loader.assets).toEqual({ hero: 'loaded hero', level: 'loaded level' });
+        expect(loader.isDone()).toBe(true);
+        expect(completed).toBe(1);
+    });
+
+    it('does not load cached assets again', function () {
+        var loader;
+
+        game.assets.hero = 'cached';
+        loader = game.load(manifest());
+        expect(pending.map(function (entry) { return entry.url; })).toEqual(['level']);
+        expect(loader.assets.hero).toBe('cached');
+    });
+
+    it('reports assets that fail, are of an unknown type or whose loader throws, and loads the rest', function () {
+        var completed = null,
+            loader = game.load([
+                { name: 'hero', url: 'hero', type: 'spec' },
+                { name: 'odd', url: 'file.xyz' },
+                { name: 'bad', url: 'throws', type: 'spec' },
+                { name: 'level', url: 'level', type: 'spec' }
+            ], {
+                onError: function (g, l, failure) { errors.push(failure.name + ': ' + failure.error.message); },
+                onComplete: function (g, l) { completed = l.failed.length; }
+            });
+
+        finish(new Error('not found'));
+        finish();
+        expect(errors).toEqual(['odd: Unknown type of asset: file.xyz', 'bad: broken loader', 'hero: not found']);
+        expect(loader.loaded).toBe(1);
+        expect(completed).toBe(3);
+    });
+
+    it('does not take an error thrown by a callback for a failure of a loader that answered straight away', function () {
+        expect(function () {
+            game.load({ hero: { url: 'now:sprite', type: 'spec' } }, {
+                onError: function (g, l, failure) { errors.push(failure.name); },
+                onComplete: function () { throw new Error('broken callback'); }
+            });
+        }).toThrowError('broken callback');
+        expect(game.assets.hero).toBe('sprite');
+        expect(errors).toEqual([]);
+    });
+
+    describe('Plastick.State.loading()', function () {
+
+        var title, failed;
+
+        beforeEach(function () {
+            title = new Plastick.State('title');
+            failed = new Plastick.State('failed');
+            failed.init(function (g, params) { errors = params.failed.map(function (failure) { return failure.name; }); });
+            game.registerState('title', title);
+        });
+
+        it('changes to the next state once every asset has loaded', function () {
+            game.start(Plastick.State.loading(manifest(), 'title'));
+            expect(game.currentState().name).toBe('loading');
+            finish();
+            game.step(1);
+            expect(game.currentState().name).toBe('loading');
+            finish();
+            expect(game.currentState()).toBe(title);
+        });
+
+        it('changes straight away when every asset is already cached', function () {
+            game.assets.hero = game.assets.level = 'cached';
+            game.start(Plastick.State.loading(manifest(), title, { name: 'preload' }));
+            expect(game.currentState()).toBe(title);
+        });
+
+        it('changes to the fail state with the failures, or else stays on the loading screen', function () {
+            game.start(Plastick.State.loading(manifest(), 'title', { failState: failed }));
+            finish(new Error('not found'));
+            finish();
+            expect(game.currentState()).toBe(failed);
+            expect(errors).toEqual(['hero']);
+
+            game.changeState(Plastick.State.loading({ other: { url: 'other', type: 'spec' } }, 'title'));
+            finish(new Error('not found'));
+            expect(game.currentState().name).toBe('loading');
+        });
+    });
+});
@@ -0,0 +1,89 @@
+describe('Plastick.use()', function () {
+
+    'use strict';
+
+    var game, level, log, plugin;
+
+    beforeEach(function () {
+        log = [];
+        // created before the plugin is installed, to show that it applies to them too
+        game = new Plastick(null, { manual: true });
+        level = new Plastick.State('level');
+        level.update(function () { log.push('update'); });
+        level.draw(function () { log.push('draw'); });
+        plugin = {
+            methods: {
+                pluginSpecScore: function () { return 'game ' + this.currentTick; }
+            },
+            stateMethods: {
+                pluginSpecLabel: function () { return 'state ' + this.name; }
+            },
+            install: function (P) { log.push(P === Plastick ? 'install' : 'install with something else'); },
+            init: function () { log.push('init'); },
+            initState: function (state) { log.push('init state ' + state.name); },
+            beforeTick: function () { log.push('before tick'); },
+            afterTick: function () { log.push('after tick'); },
+            beforeDraw: function () { log.push('before draw'); },
+            afterDraw: function () { log.push('after draw'); },
+            events: {
+                start: function (g) { log.push(g === game ? 'start' : 'start of another game'); },
+                score: function (g, points) { log.push('score ' + points); }
+            }
+        };
+    });
+
+    // plugins are installed for good, so each spec uninstalls its own
+    afterEach(function () {
+        var index = Plastick.plugins.indexOf(plugin);
+
+        if (index >= 0) Plastick.plugins.splice(index, 1);
+        delete Plastick.prototype.pluginSpecScore;
+        delete Plastick.State.prototype.pluginSpecLabel;
+    });
+
+    it('installs a plugin once, calling its install hook with Plastick', function () {
+        expect(Plastick.use(plugin)).toBe(true);
+        expect(Plastick.use(plugin)).toBe(false);
+        expect(Plastick.plugins[Plastick.plugins.length - 1]).toBe(plugin);
+        expect(log).toEqual(['install']);
+    });
+
+    it('adds methods to games and states that already exist, without replacing existing methods', function () {
+        plugin.methods.start = function () { return 'replaced'; };
+        Plastick.use(plugin);
+        expect(game.pluginSpecScore()).toBe('game 0');
+        expect(level.pluginSpecLabel()).toBe('state level');
+        expect(game.start(level)).toBe(true);
+        expect(game.start).not.toBe(plugin.methods.start);
+    });
+
+    it('calls tick, draw and event hooks for games that already exist', function () {
+        Plastick.use(plugin);
+        log = [];
+        game.start(level);
+        game.step(1);
+        game.emit('score', 10);
+        expect(log).toEqual(['start', 'before tick', 'update', 'after tick', 'before draw', 'draw', 'after draw', 'score 10']);
+    });
+
+    it('calls init hooks only for games and states created afterwards', function () {
+        var later;
+
+        Plastick.use(plugin);
+        log = [];
+        later = new Plastick(null, { manual: true });
+        later.registerState('menu', new Plastick.State('menu'));
+        expect(log).toEqual(['init', 'init state menu']);
+    });
+
+    it('uses a function as the install hook', function () {
+        var install = function () { log.push('installed'); };
+
+        expect(Plastick.use(install)).toBe(true);
+        expect(Plastick.use(install)).toBe(false);
+        expect(log).toEqual(['installed']);
+        // so that afterEach() uninstalls it
+        plugin = Plastick.plugins[Plastick.plugins.length - 1];
+        expect(plugin.install).toBe(install);
+    });
+});
@@ -0,0 +1,104 @@
+describe('Recording and replay', function () {
+
+    'use strict';
+
+    var game, level, page, seen;
+
+    // an event target that the spec dispatches events on by hand
+    function target() {
+        return {
+            handlers: [],
+            addEventListener: function (type, handler) { this.handlers.push(handler); },
+            removeEventListener: function (type, handler) {
+                var index = this.handlers.indexOf(handler);
+
+                if (index >= 0) this.handlers.splice(index, 1);
+            },
+            dispatch: function (e) {
+                this.handlers.slice().forEach(function (handler) { handler.call(this, e); }, this);
+            }
+        };
+    }
+
+    beforeEach(function () {
+        page = target();
+        seen = [];
+        game = new Plastick(null, { manual: true });
+        level = new Plastick.State('level');
+        level.registerListener(page, 'click', function (e) {
+            seen.push({ tick: game.currentTick, x: e.x, replayed: !!e.replayed });
+        });
+    });
+
+    function record() {
+        var recording;
+
+        game.startRecording();
+        game.start(level);
+        game.step(2);
+        page.dispatch({ x: 5 });
+        game.step(3);
+        page.dispatch({ x: 7 });
+        recording = game.exportRecording();
+        game.stopRecording();
+        game.stop();
+        return recording;
+    }
+
+    it('stamps each recorded event with the tick it arrived after', function () {
+        var recording = JSON.parse(record());
+
+        expect(recording.map(function (entry) { return entry.tick; })).toEqual([2, 5]);
+        expect(recording[0].state).toBe('level');
+        expect(recording[0].event).toEqual({ x: 5 });
+    });
+
+    it('replays each event just before the tick that followed it, from the first tick of a new run', function () {
+        var recording = record();
+
+        seen = [];
+        expect(game.replay(recording)).toBe(true);
+        game.start(level);
+        expect(game.currentTick).toBe(0);
+        game.step(2);
+        expect(seen).toEqual([]);
+        game.step(1);
+        expect(seen).toEqual([{ tick: 2, x: 5, replayed: true }]);
+        game.step(3);
+        expect(seen.length).toBe(2);
+        expect(game.isReplaying()).toBe(false);
+    });
+
+    it('ignores live events until the replay has finished', function () {
+        game.replay(record());
+        seen = [];
+        game.start(level);
+        page.dispatch({ x: 99 });
+        expect(seen).toEqual([]);
+        game.step(6);
+        page.dispatch({ x: 1 });
+        expect(seen.map(function (entry) { return entry.x; })).toEqual([5, 7, 1]);
+    });
+
+    it('keeps the recording and replay of two games that share a state apart', function () {
+        var other = new Plastick(null, { manual: true }),
+            recording = record();
+
+        game.startRecording();
+        game.start(level);
+        other.replay(recording);
+        other.start(level);
+        seen = [];
+        page.dispatch({ x: 99 });
+        expect(seen.map(function (entry) { return entry.x; })).toEqual([99]);
+        expect(JSON.parse(game.exportRecording()).length).toBe(1);
+        other.stop();
+    });
+
+    it('rejects recordings that are not arrays or not valid JSON', function () {
+        expect(game.replay('{ not json')).toBe(false);
+        expect(game.replay('{"tick": 1}')).toBe(false);
+        expect(game.replay(null)).toBe(false);
+        expect(game.isReplaying()).toBe(false);
+    });
+});
@@ -0,0 +1,61 @@
+describe('The state registry', function () {
+
+    'use strict';
+
+    var game, level, pause, received;
+
+    beforeEach(function () {
+        received = [];
+        game = new Plastick(null, { manual: true });
+        level = new Plastick.State();
+        pause = new Plastick.State('Pause menu');
+        level.init(function (g, params) { received.push(['init level', params]); });
+        level.resume(function (g, params) { received.push(['resume level', params]); });
+        pause.init(function (g, params) { received.push(['init pause', params]); });
+        game.registerState('level', level);
+        game.registerState('pause', pause);
+    });
+
+    it('looks states up by the key they were registered under', function () {
+        expect(game.getState('level')).toBe(level);
+        expect(game.getState('pause')).toBe(pause);
+        expect(game.getState('Pause menu')).toBeUndefined();
+        expect(game.getState('missing')).toBeUndefined();
+    });
+
+    it('names a state after its key only if it has no name of its own', function () {
+        expect(level.name).toBe('level');
+        expect(pause.name).toBe('Pause menu');
+    });
+
+    it('refuses to register anything but a state', function () {
+        expect(game.registerState('bad', {})).toBe(false);
+        expect(game.getState('bad')).toBeUndefined();
+    });
+
+    it('starts and changes states by key, passing params to init and resume', function () {
+        expect(game.start('level', { id: 3 })).toBe(true);
+        expect(game.pushState('pause', { from: 'key' })).toBe(true);
+        expect(game.currentState()).toBe(pause);
+        game.popState({ resumed: true });
+        expect(received).toEqual([
+            ['init level', { id: 3 }],
+            ['init pause', { from: 'key' }],
+            ['resume level', { resumed: true }]
+        ]);
+    });
+
+    it('passes an empty object when no params are given', function () {
+        game.start('level');
+        game.pushState('pause');
+        game.popState();
+        expect(received.map(function (entry) { return entry[1]; })).toEqual([{}, {}, {}]);
+    });
+
+    it('rejects keys that were never registered', function () {
+        expect(game.start('missing')).toBe(false);
+        game.start('level');
+        expect(game.pushState('missing')).toBe(false);
+        expect(game.currentState()).toBe(level);
+    });
+});
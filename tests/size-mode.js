@@ -0,0 +1,105 @@
+describe('Sizing the canvas', function () {
+
+    'use strict';
+
+    var game, canvas, container, resized;
+
+    // a canvas element, which remembers the transform of its context
+    function fakeCanvas(width, height) {
+        var canvas = {
+            width: width,
+            height: height,
+            style: {},
+            transform: null,
+            getContext: function () {
+                return {
+                    setTransform: function (a, b, c, d) { canvas.transform = [a, d]; }
+                };
+            },
+            setAttribute: function () { return undefined; }
+        };
+
+        return canvas;
+    }
+
+    beforeEach(function () {
+        canvas = fakeCanvas(320, 180);
+        container = { clientWidth: 960, clientHeight: 600 };
+        resized = [];
+        game = new Plastick(canvas, { manual: true });
+        game.on('resize', function (width, height) { resized.push([width, height]); });
+    });
+
+    afterEach(function () {
+        game.setSizeMode(false);
+    });
+
+    it('scales a letterboxed game as far as it fits, centered, at the pixel ratio', function () {
+        expect(game.setSizeMode({ container: container, pixelRatio: 2 })).toBe(true);
+        expect(canvas.style.width).toBe('960px');
+        expect(canvas.style.height).toBe('540px');
+        expect(canvas.style.marginLeft).toBe('0px');
+        expect(canvas.style.marginTop).toBe('30px');
+        expect(canvas.width).toBe(1920);
+        expect(canvas.transform).toEqual([6, 6]);
+        expect(game.width()).toBe(320);
+        expect(game.height()).toBe(180);
+        expect(resized).toEqual([[320, 180]]);
+    });
+
+    it('scales by whole numbers only in integer mode, unless the game does not fit once', function () {
+        container.clientWidth = 1000;
+        game.setSizeMode({ mode: 'integer', container: container, pixelRatio: 1 });
+        expect(canvas.style.width).toBe('960px');
+        expect(canvas.style.marginLeft).toBe('20px');
+
+        container.clientWidth = 160;
+        game.resize();
+        expect(canvas.style.width).toBe('160px');
+        expect(canvas.style.height).toBe('90px');
+    });
+
+    it('follows the size of the container in fill mode', function () {
+        game.setSizeMode({ mode: 'fill', container: container, pixelRatio: 2 });
+        expect(game.width()).toBe(960);
+        expect(canvas.width).toBe(1920);
+
+        container.clientWidth = 500;
+        container.clientHeight = 300;
+        game.resize();
+        expect(game.width()).toBe(500);
+        expect(game.height()).toBe(300);
+        expect(canvas.style.width).toBe('500px');
+        expect(resized).toEqual([[960, 600], [500, 300]]);
+    });
+
+    it('does not compound the scale when the HDPI mode is set again', function () {
+        game.setHDPIMode(2);
+        game.setHDPIMode(2);
+        expect(canvas.width).toBe(640);
+        expect(game.width()).toBe(320);
+        game.setHDPIMode(3);
+        expect(canvas.width).toBe(960);
+        game.setHDPIMode(false);
+        expect(canvas.width).toBe(320);
+        expect(canvas.transform).toEqual([1, 1]);
+    });
+
+    it('uses the HDPI mode as the pixel ratio of a size mode', function () {
+        game.setSizeMode({ container: container, pixelRatio: 1 });
+        game.setHDPIMode(2);
+        game.setHDPIMode(2);
+        expect(canvas.width).toBe(1920);
+        expect(canvas.style.width).toBe('960px');
+        expect(game.width()).toBe(320);
+    });
+
+    it('leaves the canvas as it is once fitting is stopped, and can not fit a headless game', function () {
+        game.setSizeMode({ container: container, pixelRatio: 1 });
+        expect(game.setSizeMode(false)).toBe(true);
+        container.clientWidth = 320;
+        game.resize();
+        expect(canvas.style.width).toBe('960px');
+        expect(new Plastick(null, { manual: true }).setSizeMode()).toBe(false);
+    });
+});
@@ -0,0 +1,140 @@
+describe('Snapshots', function () {
+
+    'use strict';
+
+    var game, level, pause, menu, log;
+
+    function named(name) {
+        var state = new Plastick.State(name);
+
+        state.init(function () { log.push('init ' + name); });
+        state.cleanup(function () { log.push('cleanup ' + name); });
+        state.pause(function () { log.push('pause ' + name); });
+        state.resume(function () { log.push('resume ' + name); });
+        return state;
+    }
+
+    beforeEach(function () {
+        log = [];
+        game = new Plastick(null, { manual: true, storage: new Plastick.MemoryStorage() });
+        level = named('level');
+        pause = named('pause');
+        menu = named('menu');
+        game.registerState('level', level);
+        game.registerState('pause', pause);
+        game.registerState('menu', menu);
+    });
+
+    it('round-trips the state stack, data and game time', function () {
+        game.start(level);
+        game.pushState(pause);
+        level.data.score = 7;
+        game.data.lives = 3;
+        game.step(5);
+        game.saveSnapshot('slot');
+
+        level.data.score = 0;
+        game.data.lives = 0;
+        game.changeState(menu);
+        game.step(5);
+
+        expect(game.loadSnapshot('slot')).toBe(true);
+        expect(game.stateNames()).toEqual(['level', 'pause']);
+        expect(level.data.score).toBe(7);
+        expect(game.data.lives).toBe(3);
+        expect(game.currentTick).toBe(5);
+    });
+
+    it('returns false for a missing or unreadable snapshot', function () {
+        expect(game.loadSnapshot('nothing')).toBe(false);
+        game.storage.setItem('broken', '{ not json');
+        expect(game.loadSnapshot('broken')).toBe(false);
+        expect(game.isRunning()).toBe(false);
+    });
+
+    it('pauses the current state before resuming it, and pauses new states beneath it', function () {
+        var snapshot;
+
+        game.start(level);
+        game.pushState(pause);
+        snapshot = game.snapshot();
+        game.popState();
+        log = [];
+
+        game.restore(snapshot);
+        expect(log).toEqual(['pause level', 'pause pause', 'resume pause']);
+    });
+
+    it('does not pause the states that are already paused', function () {
+        var snapshot;
+
+        game.start(level);
+        game.pushState(menu);
+        game.pushState(pause);
+        snapshot = game.snapshot();
+        log = [];
+
+        game.restore(snapshot);
+        expect(log).toEqual(['pause pause', 'resume pause']);
+    });
+
+    it('emits start when it starts a stopped game', function () {
+        var events = [];
+
+        game.start(level);
+        game.on('start', function () { events.push('start'); });
+        game.on('restore', function () { events.push('restore'); });
+        game.restore({ states: [{ name: 'menu', data: {} }], data: {}, currentTick: 0, gameTime: 0 });
+        expect(events).toEqual(['restore']);
+
+        game.stop();
+        game.restore({ states: [{ name: 'menu', data: {} }], data: {}, currentTick: 0, gameTime: 0 });
+        expect(events).toEqual(['restore', 'start', 'restore']);
+        expect(game.isRunning()).toBe(true);
+    });
+
+    it('keeps the state changes queued before it during a tick', function () {
+        var snapshot;
+
+        game.start(level);
+        snapshot = game.snapshot();
+        level.update(function (g) {
+            g.pushState(pause);
+            g.restore(snapshot);
+            g.pushState(menu);
+        });
+        game.step(1);
+        expect(game.stateNames()).toEqual(['level', 'menu']);
+        expect(log).toContain('cleanup pause');
+    });
+
+    it('saves states under the key they were registered under, even when their names differ', function () {
+        var boss = new Plastick.State('Level 1 boss'),
+            snapshot;
+
+        game.registerState('boss', boss);
+        game.start(boss);
+        snapshot = game.snapshot();
+        expect(snapshot.states[0].name).toBe('boss');
+        game.changeState(level);
+        expect(game.restore(snapshot)).toBe(true);
+        expect(game.currentState()).toBe(boss);
+    });
+
+    it('rejects a snapshot without valid data, tick or game time, and leaves the game as it was', function () {
+        game.start(level);
+        game.step(3);
+        [
+            { states: [{ name: 'pause' }] },
+            { states: [{ name: 'pause', data: {} }], data: {}, currentTick: 'x', gameTime: 0 },
+            { states: [{ name: 'pause', data: {} }], data: {}, currentTick: 0, gameTime: NaN },
+            { states: [{ name: 'pause', data: {} }], data: null, currentTick: 0, gameTime: 0 },
+            { states: [null], data: {}, currentTick: 0, gameTime: 0 }
+        ].forEach(function (snapshot) {
+            expect(game.restore(snapshot)).toBe(false);
+        });
+        expect(game.stateNames()).toEqual(['level']);
+        expect(game.currentTick).toBe(3);
+        expect(game.step(1)).toBe(1);
+    });
+});
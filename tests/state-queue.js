@@ -0,0 +1,87 @@
+describe('Queued state changes', function () {
+
+    'use strict';
+
+    var game, level, pause, menu, log;
+
+    function named(name) {
+        var state = new Plastick.State(name);
+
+        state.init(function () { log.push('init ' + name); });
+        state.cleanup(function () { log.push('cleanup ' + name); });
+        state.pause(function () { log.push('pause ' + name); });
+        state.resume(function () { log.push('resume ' + name); });
+        return state;
+    }
+
+    beforeEach(function () {
+        log = [];
+        game = new Plastick(null, { manual: true });
+        level = named('level');
+        pause = named('pause');
+        menu = named('menu');
+        game.start(level);
+        log = [];
+    });
+
+    it('applies a change requested outside a tick immediately', function () {
+        game.pushState(pause);
+        expect(game.currentState()).toBe(pause);
+        expect(log).toEqual(['pause level', 'init pause']);
+    });
+
+    it('lets the rest of the update run against the current state', function () {
+        var seen = null;
+
+        level.update(function (g) {
+            g.pushState(pause);
+            seen = g.currentState();
+        });
+        game.step(1);
+        expect(seen).toBe(level);
+        expect(game.currentState()).toBe(pause);
+    });
+
+    it('applies every change requested in one tick, in the order they were requested', function () {
+        level.update(function (g) {
+            g.pushState(pause);
+            g.changeState(menu);
+            g.popState();
+        });
+        game.step(1);
+        expect(log).toEqual(['pause level', 'init pause', 'cleanup pause', 'init menu', 'cleanup menu', 'resume level']);
+        expect(game.currentState()).toBe(level);
+    });
+
+    it('adds changes requested while applying the queue to the end of it', function () {
+        pause.init(function (g) { log.push('init pause'); g.changeState(menu); });
+        level.update(function (g) { g.pushState(pause); });
+        game.step(1);
+        expect(game.stateNames()).toEqual(['level', 'menu']);
+    });
+
+    it('applies changes requested while drawing once the frame has been drawn', function () {
+        var seen = null;
+
+        level.draw(function (g) {
+            g.pushState(pause);
+            seen = g.currentState();
+        });
+        game.step(1);
+        expect(seen).toBe(level);
+        expect(game.currentState()).toBe(pause);
+    });
+
+    it('keeps applying changes after a callback throws', function () {
+        level.update(function () { throw new Error('bug'); });
+        expect(function () { game.step(1); }).toThrow();
+        game.pushState(pause);
+        expect(game.currentState()).toBe(pause);
+
+        pause.init(function () { throw new Error('bug'); });
+        game.popState();
+        expect(function () { game.pushState(pause); }).toThrow();
+        game.changeState(menu);
+        expect(game.currentState()).toBe(menu);
+    });
+});
@@ -0,0 +1,53 @@
+describe('Plastick.stats()', function () {
+
+    'use strict';
+
+    var now, game, level;
+
+    beforeEach(function () {
+        now = 1000;
+        // the clock is only read for measurements, since manual mode holds game time still
+        game = new Plastick(null, { manual: true, clock: function () { return now; } });
+        level = new Plastick.State('level');
+        level.update(function () { now += 2; });
+        level.draw(function () { now += 5; });
+        game.start(level);
+    });
+
+    it('counts frames and ticks', function () {
+        game.step(3);
+        game.step(1);
+        expect(game.stats().frames).toBe(2);
+        expect(game.stats().ticks).toBe(4);
+        expect(game.stats().chokes).toBe(0);
+        expect(game.stats().ticksPerFrame.max).toBe(3);
+        expect(game.stats().ticksPerFrame.min).toBe(1);
+    });
+
+    it('times updates, draws and frames with the injected clock', function () {
+        var stats;
+
+        game.step(3);
+        now += 89;
+        game.step(3);
+        stats = game.stats();
+        expect(stats.update.average).toBe(6);
+        expect(stats.draw.average).toBe(5);
+        expect(stats.states.level.update.max).toBe(2);
+        expect(stats.states.level.draw.p50).toBe(5);
+        expect(stats.frameTime.average).toBe(100);
+        expect(stats.fps).toBe(10);
+        expect(stats.tps).toBe(30);
+    });
+
+    it('starts over when reset, or when the game is started again', function () {
+        game.step(2);
+        game.resetStats();
+        expect(game.stats().frames).toBe(0);
+        expect(game.stats().states).toEqual({});
+        game.step(1);
+        game.stop();
+        game.start(level);
+        expect(game.stats().ticks).toBe(0);
+    });
+});
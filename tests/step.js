@@ -0,0 +1,100 @@
+describe('Plastick.step() and Plastick.advanceTime()', function () {
+
+    'use strict';
+
+    var game, state, updates, draws;
+
+    beforeEach(function () {
+        game = new Plastick(null, { manual: true });
+        state = new Plastick.State('level');
+        updates = 0;
+        draws = [];
+        state.update(function () { updates += 1; });
+        state.draw(function (g) { draws.push(g.tickAlpha); });
+        game.start(state);
+    });
+
+    it('simulates exactly the requested number of ticks, then draws once with a tickAlpha of 1', function () {
+        expect(game.step(3)).toBe(3);
+        expect(updates).toBe(3);
+        expect(game.currentTick).toBe(3);
+        expect(draws).toEqual([1]);
+        expect(game.gameTime()).toBeCloseTo(100, 9);
+    });
+
+    it('simulates one tick by default', function () {
+        expect(game.step()).toBe(1);
+        expect(updates).toBe(1);
+    });
+
+    it('simulates every tick that became due, and draws with the remaining tickAlpha', function () {
+        expect(game.advanceTime(50)).toBe(2);
+        expect(updates).toBe(2);
+        expect(draws.length).toBe(1);
+        expect(draws[0]).toBeCloseTo(0.5, 9);
+    });
+
+    it('continues from part way into a tick', function () {
+        game.advanceTime(50);
+        expect(game.step(1)).toBe(1);
+        expect(game.currentTick).toBe(3);
+        expect(game.gameTime()).toBeCloseTo(100, 9);
+    });
+
+    it('never moves game time backwards', function () {
+        game.advanceTime(50);
+        expect(game.step(0)).toBe(0);
+        expect(game.step(-2)).toBe(0);
+        expect(game.step(NaN)).toBe(0);
+        expect(game.advanceTime(-20)).toBe(0);
+        expect(game.advanceTime(NaN)).toBe(0);
+        expect(game.gameTime()).toBeCloseTo(50, 9);
+        expect(draws[draws.length - 1]).toBeCloseTo(0.5, 9);
+    });
+
+    it('rounds fractional ticks down', function () {
+        expect(game.step(2.7)).toBe(2);
+        expect(game.currentTick).toBe(2);
+    });
+
+    it('does nothing while the game is stopped or frozen', function () {
+        game.freeze();
+        expect(game.step(5)).toBe(0);
+        expect(game.advanceTime(500)).toBe(0);
+        game.unfreeze();
+        game.stop();
+        expect(game.step(5)).toBe(0);
+        expect(updates).toBe(0);
+    });
+
+    it('measures stats with the real clock', function () {
+        var now = 0;
+
+        game = new Plastick(null, { manual: true, clock: function () { return now; } });
+        state = new Plastick.State('level');
+        state.update(function () { now += 2; });
+        game.start(state);
+        game.step(3);
+        expect(game.gameTime()).toBeCloseTo(100, 9);
+        expect(game.stats().states.level.update.average).toBe(2);
+    });
+
+    it('never moves game time back when the clock is running', function () {
+        var now = 0;
+
+        game = new Plastick(null, {
+            clock: function () { return now; },
+            scheduler: { request: function () { return null; }, cancel: function () { return undefined; } }
+        });
+        state = new Plastick.State('level');
+        state.update(function () { updates += 1; });
+        game.start(state);
+        now = 1000;
+        expect(game.step(1)).toBe(30);
+        expect(game.gameTime()).toBeCloseTo(1000, 9);
+        expect(game.currentTick).toBe(30);
+        now = 1010;
+        expect(game.step(1)).toBe(1);
+        expect(game.gameTime()).toBeCloseTo(1000 + 100 / 3, 9);
+    });
+});
@@ -0,0 +1,72 @@
+describe('Time scale and tick rate', function () {
+
+    'use strict';
+
+    var game, state, now, updates,
+        // frames only run through advanceTime() and step(), but the clock keeps moving
+        idleScheduler = {
+            request: function () { return null; },
+            cancel: function () { return undefined; }
+        };
+
+    beforeEach(function () {
+        now = 1000;
+        updates = 0;
+        game = new Plastick(null, { clock: function () { return now; }, scheduler: idleScheduler });
+        state = new Plastick.State('level');
+        state.update(function () { updates += 1; });
+        game.start(state);
+    });
+
+    it('runs game time at the scaled rate of real time', function () {
+        game.setTimeScale(0.5);
+        now += 200;
+        expect(game.gameTime()).toBeCloseTo(100, 9);
+        game.advanceTime(0);
+        expect(updates).toBe(3);
+    });
+
+    it('keeps game time continuous when the scale changes', function () {
+        now += 300;
+        game.setTimeScale(2);
+        expect(game.gameTime()).toBeCloseTo(300, 9);
+        now += 50;
+        expect(game.gameTime()).toBeCloseTo(400, 9);
+    });
+
+    it('stops game time with a scale of 0, without freezing the game', function () {
+        game.setTimeScale(0);
+        now += 1000;
+        game.advanceTime(0);
+        expect(updates).toBe(0);
+        expect(game.isFrozen()).toBe(false);
+    });
+
+    it('throws for factors that are not finite numbers of 0 or above, without changing the time scale', function () {
+        var emitted = [];
+
+        game.on('timescale', function (factor) { emitted.push(factor); });
+        game.setTimeScale(3);
+        [-2, 'fast', NaN, Infinity, null].forEach(function (factor) {
+            expect(function () { game.setTimeScale(factor); }).toThrowError('Invalid time scale: ' + factor);
+        });
+        expect(game.timeScale).toBe(3);
+        expect(game.setTimeScale()).toBe(1);
+        expect(emitted).toEqual([3, 1]);
+    });
+
+    it('uses a new TARGET_TPS for the ticks after the change only', function () {
+        game.step(3);
+        expect(game.gameTime()).toBeCloseTo(100, 9);
+        game.TARGET_TPS = 60;
+        game.step(6);
+        expect(game.currentTick).toBe(9);
+        expect(game.gameTime()).toBeCloseTo(200, 9);
+    });
+
+    it('simulates more ticks in the same time after TARGET_TPS is raised', function () {
+        game.TARGET_TPS = 60;
+        game.advanceTime(100);
+        expect(updates).toBe(6);
+    });
+});
@@ -0,0 +1,87 @@
+describe('Timers', function () {
+
+    'use strict';
+
+    var game, level, pause, fired;
+
+    beforeEach(function () {
+        fired = [];
+        game = new Plastick(null, { manual: true });
+        level = new Plastick.State('level');
+        pause = new Plastick.State('pause');
+        game.start(level);
+    });
+
+    function record(g) {
+        fired.push(g.currentTick);
+    }
+
+    it('fires after a number of ticks', function () {
+        game.after(3, record);
+        game.step(5);
+        expect(fired).toEqual([3]);
+    });
+
+    it('fires repeatedly every number of ticks', function () {
+        game.every(2, record);
+        game.step(7);
+        expect(fired).toEqual([2, 4, 6]);
+    });
+
+    it('fires on the first tick that reaches an amount of game time', function () {
+        game.afterTime(50, record);
+        game.everyTime(100, function (g) { fired.push('every ' + g.currentTick); });
+        game.step(7);
+        expect(fired).toEqual([2, 'every 3', 'every 6']);
+    });
+
+    it('can be cancelled', function () {
+        var timer = game.every(1, record);
+
+        game.step(2);
+        expect(game.cancelTimer(timer)).toBe(true);
+        game.step(2);
+        expect(fired).toEqual([1, 2]);
+        expect(game.cancelTimer(timer)).toBe(false);
+    });
+
+    it('stops counting down while the owning state is paused', function () {
+        game.after(3, record, level);
+        game.step(2);
+        game.pushState(pause);
+        game.step(5);
+        expect(fired).toEqual([]);
+        game.popState();
+        game.step(1);
+        expect(fired).toEqual([8]);
+    });
+
+    it('calls the callback with the owning state as this', function () {
+        var self = null;
+
+        game.after(1, function () { self = this; }, level);
+        game.step(1);
+        expect(self).toBe(level);
+    });
+
+    it('is cancelled when the owning state is cleaned up', function () {
+        game.after(2, record, pause);
+        game.pushState(pause);
+        game.step(1);
+        game.popState();
+        game.pushState(pause);
+        game.step(3);
+        expect(fired).toEqual([]);
+    });
+
+    it('does not count frozen time', function () {
+        game.afterTime(100, record);
+        game.freeze();
+        game.advanceTime(500);
+        game.unfreeze();
+        game.step(2);
+        expect(fired).toEqual([]);
+        game.step(1);
+        expect(fired).toEqual([3]);
+    });
+});
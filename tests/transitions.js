@@ -0,0 +1,74 @@
+describe('Plastick.Transition', function () {
+
+    'use strict';
+
+    var game, from, to, drawn;
+
+    beforeEach(function () {
+        game = new Plastick(null, { manual: true });
+        from = new Plastick.State('from');
+        to = new Plastick.State('to');
+        drawn = [];
+        from.draw(function () { drawn.push('from'); });
+        to.draw(function () { drawn.push('to'); });
+        game.start(from);
+    });
+
+    it('draws the first frame of a transition that starts during a tick', function () {
+        var transition = new Plastick.Transition(4),
+            progress = [];
+
+        transition.draw(function (g, p, drawFrom) {
+            progress.push(p);
+            drawFrom();
+        });
+        from.update(function (g) { g.changeState(to, transition); });
+
+        game.step(1);
+        expect(progress).toEqual([0]);
+        expect(drawn).toEqual(['from']);
+    });
+
+    it('hands over to the incoming state once the transition has finished', function () {
+        from.update(function (g) { g.changeState(to, new Plastick.Transition(2)); });
+
+        game.step(1);
+        expect(game.currentState()).toBe(to);
+        game.step(2);
+        drawn = [];
+        game.step(1);
+        expect(drawn).toEqual(['to']);
+    });
+
+    it('skips drawing the frame of an instant change', function () {
+        from.update(function (g) { g.changeState(to); });
+
+        game.step(1);
+        expect(drawn).toEqual([]);
+        game.step(1);
+        expect(drawn).toEqual(['to']);
+    });
+
+    it('creates a new transition from a registered factory for each change that names it', function () {
+        var created = 0;
+
+        game.registerTransition('blink', function (g) {
+            expect(g).toBe(game);
+            created += 1;
+            return new Plastick.Transition(2);
+        });
+        game.pushState(to, 'blink');
+        expect(created).toBe(1);
+        expect(game.currentState()).toBe(to);
+        game.step(2);
+        game.popState('blink');
+        expect(created).toBe(2);
+    });
+
+    it('throws for a transition name that is not registered, without changing state', function () {
+        expect(function () {
+            game.changeState(to, 'missing');
+        }).toThrowError('Unknown transition: missing');
+        expect(game.currentState()).toBe(from);
+    });
+});
@@ -0,0 +1,84 @@
+describe('Tweens', function () {
+
+    'use strict';
+
+    var game, level, pause, ship;
+
+    beforeEach(function () {
+        game = new Plastick(null, { manual: true });
+        level = new Plastick.State('level');
+        pause = new Plastick.State('pause');
+        ship = { x: 0, y: 0 };
+        game.start(level);
+    });
+
+    it('moves properties to their final values over a number of ticks', function () {
+        game.tween(ship, { x: 100 }, { ticks: 4 });
+        game.step(2);
+        expect(ship.x).toBe(50);
+        game.step(2);
+        expect(ship.x).toBe(100);
+        game.step(1);
+        expect(ship.x).toBe(100);
+    });
+
+    it('eases the progress', function () {
+        game.tween(ship, { x: 100 }, { ticks: 2, easing: 'easeInQuad' });
+        game.step(1);
+        expect(ship.x).toBe(25);
+    });
+
+    it('throws an error for an unknown easing straight away', function () {
+        expect(function () {
+            game.tween(ship, { x: 100 }, { easing: 'easeOutWobble' });
+        }).toThrowError('Unknown easing: easeOutWobble');
+        expect(function () {
+            game.tween(ship, { x: 100 }, { easing: 'constructor' });
+        }).toThrow();
+    });
+
+    it('interpolates values with tickAlpha while drawing', function () {
+        var tween = game.tween(ship, { x: 90 }, { ticks: 3 });
+
+        game.advanceTime(50);
+        expect(ship.x).toBe(60);
+        expect(tween.value('x')).toBeCloseTo(45, 9);
+    });
+
+    it('plays chained tweens and completion callbacks in order', function () {
+        var done = [];
+
+        game.tween(ship, { x: 10 }, { ticks: 2 })
+            .onComplete(function () { done.push('x'); })
+            .chain(ship, { y: 10 }, { ticks: 2 })
+            .onComplete(function () { done.push('y'); });
+        game.step(2);
+        expect(done).toEqual(['x']);
+        expect(ship.y).toBe(0);
+        game.step(2);
+        expect(ship.y).toBe(10);
+        expect(done).toEqual(['x', 'y']);
+    });
+
+    it('repeats, playing backwards with yoyo', function () {
+        game.tween(ship, { x: 10 }, { ticks: 2, repeat: 1, yoyo: true });
+        game.step(2);
+        expect(ship.x).toBe(10);
+        game.step(1);
+        expect(ship.x).toBe(5);
+        game.step(1);
+        expect(ship.x).toBe(0);
+    });
+
+    it('stops with the owning state', function () {
+        game.tween(ship, { x: 100 }, { ticks: 4, state: level });
+        game.step(1);
+        game.pushState(pause);
+        game.step(2);
+        expect(ship.x).toBe(25);
+        game.popState();
+        game.changeState(pause);
+        game.step(2);
+        expect(ship.x).toBe(25);
+    });
+});
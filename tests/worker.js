@@ -0,0 +1,111 @@
+describe('Split mode', function () {
+
+    'use strict';
+
+    var main, sim, pending;
+
+    // a pair of message ports that deliver messages when the spec calls flush()
+    function endpoint() {
+        return {
+            listeners: [],
+            other: null,
+            addEventListener: function (type, handler) { this.listeners.push(handler); },
+            removeEventListener: function (type, handler) { this.listeners.splice(this.listeners.indexOf(handler), 1); },
+            postMessage: function (message) {
+                var other = this.other,
+                    data = JSON.parse(JSON.stringify(message));
+
+                pending.push(function () {
+                    other.listeners.slice().forEach(function (handler) { handler({ data: data }); });
+                });
+            }
+        };
+    }
+
+    function flush() {
+        while (pending.length) pending.shift()();
+    }
+
+    function game() {
+        var g = new Plastick(null, { manual: true });
+
+        g.registerState('level', new Plastick.State());
+        g.registerState('pause', new Plastick.State('Pause menu'));
+        g.registerTransition('fade', function () { return new Plastick.Transition(3); });
+        return g;
+    }
+
+    beforeEach(function () {
+        var worker = endpoint(),
+            scope = endpoint();
+
+        pending = [];
+        worker.other = scope;
+        scope.other = worker;
+        sim = game();
+        main = game();
+        sim.serveWorker(scope);
+        main.startWorker(worker, 'level');
+        flush();
+    });
+
+    afterEach(function () {
+        main.stop();
+        flush();
+    });
+
+    it('makes a change requested on the main thread once the worker has made it', function () {
+        main.pushState('pause');
+        expect(main.stateNames()).toEqual(['level']);
+        flush();
+        expect(sim.currentState()).toBe(sim.getState('pause'));
+        expect(main.currentState()).toBe(main.getState('pause'));
+    });
+
+    it('animates a transition passed by name on both threads, in step with the worker', function () {
+        var finished = false;
+
+        main.getState('level').pause(function () { finished = true; });
+        sim.pushState('pause', 'fade');
+        sim.step(1);
+        flush();
+        expect(finished).toBe(false);
+        sim.step(2);
+        flush();
+        expect(finished).toBe(true);
+    });
+
+    it('stops the game and throws when the state stacks differ', function () {
+        main.states.push(main.getState('pause'));
+        sim.step(1);
+        expect(flush).toThrowError('State stack out of sync with the worker: level in the worker, level -> pause here');
+        expect(main.isRunning()).toBe(false);
+    });
+
+    it('sends states by the key they were registered under, not by their names', function () {
+        sim.pushState('pause');
+        sim.step(1);
+        expect(flush).not.toThrow();
+        expect(main.currentState()).toBe(main.getState('pause'));
+    });
+
+    it('restores a snapshot taken on the main thread once the worker has restored it', function () {
+        var snapshot;
+
+        main.pushState('pause');
+        flush();
+        snapshot = main.snapshot();
+        main.popState();
+        sim.step(4);
+        flush();
+        expect(main.restore(snapshot)).toBe(true);
+        expect(main.currentState()).toBe(main.getState('level'));
+        flush();
+        expect(sim.currentState()).toBe(sim.getState('pause'));
+        expect(sim.currentTick).toBe(0);
+        expect(main.currentState()).toBe(main.getState('pause'));
+        sim.step(1);
+        expect(flush).not.toThrow();
+        expect(main.currentTick).toBe(1);
+    });
+});